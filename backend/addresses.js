@@ -0,0 +1,16 @@
+import { num } from "starknet";
+
+// **Addresses**
+// Players, bots and contracts are stored as lowercase hex without leading
+// zeros, the way num.toHex writes them. Clients may send them in any hex or
+// decimal form.
+
+// Returns the stored form of `value`, or null if it isn't an address. Callers
+// turn null into their own client-facing error.
+export function normalizeAddress(value) {
+    try {
+        return num.toHex(value);
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,211 @@
+import { normalizeAddress } from "./addresses.js";
+import { ACTIVE_STATUSES, BOT_STATUS } from "./indexer/botLifecycle.js";
+import { MAX_PAGE_SIZE } from "./leaderboards.js";
+
+// **Timelines & Analytics**
+// What each bot did, and how each player's bots fare, from the Bot, Mine and
+// Transaction collections. Every bot is summed up as
+//   spawned        { block, timestamp } of its spawn
+//   death          { block, timestamp, cause, location, tile }, null while alive
+//   time_alive_ms  spawn to death, or to now; suspensions count, as on the
+//                  survival leaderboard
+//   tiles_mined    distinct tiles, the fatal one included; diamonds among them
+//   mining_rate    tiles mined per hour alive
+// and players, and the game as a whole, as totals over their bots plus
+//   diamond_hit_rate     diamonds per tile mined
+//   average_lifespan_ms  mean time alive of the bots that died
+// Rates are null while there is nothing to divide by.
+export const ANALYTICS_SORTS = ["tiles_mined", "diamonds", "diamond_hit_rate", "mining_rate", "average_lifespan_ms"];
+
+const HOUR = 60 * 60 * 1000;
+
+// Bad timeline or analytics arguments; the message is meant for the client
+export class AnalyticsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "AnalyticsError";
+    }
+}
+
+function requireAddress(value, name) {
+    const address = normalizeAddress(value);
+    if (address === null) throw new AnalyticsError(`${name} must be an address`);
+    return address;
+}
+
+// Whose timeline `params` ask for: { bot } or { player }, as { kind, id }
+export function timelineTarget({ bot, player }) {
+    if ((bot === undefined) === (player === undefined)) throw new AnalyticsError("Expected either bot or player");
+    return bot !== undefined
+        ? { kind: "bot", id: requireAddress(bot, "bot") }
+        : { kind: "player", id: requireAddress(player, "player") };
+}
+
+// Turns Bot documents into the summaries above
+function botSummaries(Mine, now) {
+    return [
+        { $project: {
+            _id: 0,
+            bot_address: 1,
+            player: 1,
+            status: 1,
+            score: 1,
+            starting_tile: 1,
+            spawned: { $first: "$history" },
+            death: { $first: { $filter: { input: "$history", cond: { $eq: ["$$this.to", BOT_STATUS.DEAD] } } } },
+        } },
+        { $lookup: {
+            from: Mine.collection.name,
+            localField: "bot_address",
+            foreignField: "bot_address",
+            pipeline: [{ $group: {
+                _id: null,
+                tiles_mined: { $sum: 1 },
+                diamonds: { $sum: { $cond: [{ $eq: ["$mine_type", "Diamond"] }, 1, 0] } },
+                bomb: { $max: { $cond: [{ $eq: ["$mine_type", "Bomb"] }, "$location", null] } },
+            } }],
+            as: "mines",
+        } },
+        { $set: {
+            spawned: { $cond: ["$spawned", { block: "$spawned.block", timestamp: "$spawned.timestamp" }, null] },
+            death: { $cond: ["$death", {
+                block: "$death.block",
+                timestamp: "$death.timestamp",
+                cause: "$death.event",
+                location: { $first: "$mines.bomb" },
+            }, null] },
+            time_alive_ms: { $subtract: [{ $ifNull: ["$death.timestamp", now] }, "$spawned.timestamp"] },
+            tiles_mined: { $ifNull: [{ $first: "$mines.tiles_mined" }, 0] },
+            diamonds: { $ifNull: [{ $first: "$mines.diamonds" }, 0] },
+        } },
+        { $set: { mining_rate: perHour("$tiles_mined", "$time_alive_ms") } },
+        { $unset: "mines" },
+    ];
+}
+
+function perHour(count, ms) {
+    return { $cond: [{ $gt: [ms, 0] }, { $divide: [count, { $divide: [ms, HOUR] }] }, null] };
+}
+
+// Groups bot summaries by `id` into totals and rates
+function totals(id) {
+    return [
+        { $group: {
+            _id: id,
+            bots: { $sum: 1 },
+            alive: { $sum: { $cond: [{ $in: ["$status", ACTIVE_STATUSES] }, 1, 0] } },
+            dead: { $sum: { $cond: [{ $eq: ["$status", BOT_STATUS.DEAD] }, 1, 0] } },
+            tiles_mined: { $sum: "$tiles_mined" },
+            diamonds: { $sum: "$diamonds" },
+            time_alive_ms: { $sum: "$time_alive_ms" },
+            average_lifespan_ms: { $avg: { $cond: ["$death", "$time_alive_ms", null] } },
+        } },
+        { $set: {
+            diamond_hit_rate: { $cond: [{ $gt: ["$tiles_mined", 0] }, { $divide: ["$diamonds", "$tiles_mined"] }, null] },
+            mining_rate: perHour("$tiles_mined", "$time_alive_ms"),
+        } },
+    ];
+}
+
+// The totals of a game nobody has played yet
+const NO_BOTS = { bots: 0, alive: 0, dead: 0, tiles_mined: 0, diamonds: 0, time_alive_ms: 0, average_lifespan_ms: null, diamond_hit_rate: null, mining_rate: null };
+
+function withDeathTile(board, summary) {
+    if (!summary.death?.location) return summary;
+    return { ...summary, death: { ...summary.death, tile: board.fromLocation(summary.death.location) } };
+}
+
+// Returns a bot's summary plus `events`, everything it did in the order the
+// events were stored (chain order), or null for an unknown bot. Events are
+// found by `args`, which events stored before ABI decoding only get from
+// migrate:block-timestamps.
+export async function getBotTimeline({ models, board }, bot, now = new Date()) {
+    const { Bot, Mine, Transaction } = models;
+    const bot_address = requireAddress(bot, "bot");
+
+    const [[summary], events] = await Promise.all([
+        Bot.aggregate([{ $match: { bot_address } }, ...botSummaries(Mine, now)]),
+        Transaction.find({ "args.bot_address": bot_address }, { _id: 0, block: 1, timestamp: 1, event_name: 1, args: 1, score_delta: 1, transaction_hash: 1 })
+            .sort({ block: 1, _id: 1 })
+            .lean(),
+    ]);
+    if (!summary) return null;
+
+    return {
+        ...withDeathTile(board, summary),
+        events: events.map(({ event_name, args, ...event }) => ({
+            ...event,
+            event: event_name,
+            ...(args?.location !== undefined && { location: args.location, tile: board.fromLocation(args.location) }),
+        })),
+    };
+}
+
+// Returns a player's totals, their bots' summaries in spawn order and
+// `activity`, tiles mined and diamonds found per hour; null for an unknown player
+export async function getPlayerTimeline({ models, board }, player, now = new Date()) {
+    const { Bot, Mine } = models;
+    const id = requireAddress(player, "player");
+
+    const [{ bots, totals: [playerTotals] }] = await Bot.aggregate([
+        { $match: { player: id } },
+        ...botSummaries(Mine, now),
+        { $facet: {
+            bots: [{ $sort: { "spawned.block": 1, bot_address: 1 } }],
+            totals: totals(null),
+        } },
+    ]);
+    if (bots.length === 0) return null;
+
+    const activity = await Mine.aggregate([
+        { $match: { bot_address: { $in: bots.map(summary => summary.bot_address) }, timestamp: { $ne: null } } },
+        { $group: {
+            _id: { $subtract: ["$timestamp", { $mod: [{ $toLong: "$timestamp" }, HOUR] }] },
+            tiles_mined: { $sum: 1 },
+            diamonds: { $sum: { $cond: [{ $eq: ["$mine_type", "Diamond"] }, 1, 0] } },
+        } },
+        { $sort: { _id: 1 } },
+    ]);
+
+    const { _id, ...rest } = playerTotals;
+    return {
+        player: id,
+        ...rest,
+        bots: bots.map(summary => withDeathTile(board, summary)),
+        activity: activity.map(({ _id: hour, ...counts }) => ({ hour, ...counts })),
+    };
+}
+
+// Returns the game's totals and one page of per-player totals:
+// { game, sort, offset, limit, total, players }, players ordered by `sort`,
+// highest first. Throws an AnalyticsError on bad arguments.
+export async function getAnalytics({ models }, { sort = "tiles_mined", offset = 0, limit = 10, now = new Date() } = {}) {
+    if (!ANALYTICS_SORTS.includes(sort)) throw new AnalyticsError(`Unknown sort "${sort}" (expected one of: ${ANALYTICS_SORTS.join(", ")})`);
+    if (!Number.isInteger(offset) || offset < 0) throw new AnalyticsError("offset must be a non-negative integer");
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) throw new AnalyticsError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+
+    const [{ game: [game], total, players }] = await models.Bot.aggregate([
+        { $match: { player: { $ne: null } } },
+        ...botSummaries(models.Mine, now),
+        { $facet: {
+            game: totals(null),
+            total: [{ $group: { _id: "$player" } }, { $count: "count" }],
+            players: [
+                ...totals("$player"),
+                { $sort: { [sort]: -1, _id: 1 } },
+                { $skip: offset },
+                { $limit: limit },
+            ],
+        } },
+    ]);
+
+    const { _id, ...gameTotals } = game ?? {};
+    return {
+        game: { ...NO_BOTS, ...gameTotals },
+        sort,
+        offset,
+        limit,
+        total: total[0]?.count ?? 0,
+        players: players.map(({ _id: player, ...entry }) => ({ player, ...entry })),
+    };
+}
@@ -0,0 +1,245 @@
+import express from "express";
+import mongoose from "mongoose";
+import { normalizeAddress } from "./addresses.js";
+import { getGame } from "./indexer/games.js";
+import { loadTileStates } from "./indexer/board.js";
+import { LeaderboardError, getLeaderboard, getRank } from "./leaderboards.js";
+import { computeStats } from "./stats.js";
+import { AnalyticsError, getAnalytics, getBotTimeline, getPlayerTimeline } from "./analytics.js";
+import { createLogger, requestLogging } from "./logger.js";
+
+const log = createLogger("api");
+
+// **HTTP API**
+// Read-only queries over the same models the indexer writes:
+//   GET /bots/:address              status, score, starting tile, lifecycle and mine history
+//   GET /bots/:address/timeline     spawn, death, time alive, mining rate and every event
+//   GET /players/:address           a player's bots and total score
+//   GET /players/:address/timeline  a player's bot timelines, totals and hourly activity
+//   GET /tiles                      ?layer=0&range=<x>,<y>,<width>,<height> dense tile states
+//   GET /transactions               ?event=&bot=&player=&from_block=&to_block=&order=&limit=&cursor=
+//   GET /stats                      the stats socket's snapshot
+//   GET /leaderboard                ?board=&window=&offset=&limit=, or &id= for one entry's rank
+//   GET /analytics                  ?sort=&offset=&limit= game and per-player hit rates, lifespans, mining rates
+// Every endpoint takes ?game=<id> (default: the first configured game).
+// Errors come back as { error } with a 4xx/5xx status. Every response carries
+// an X-Request-Id, the one its log lines carry too.
+const MAX_TRANSACTIONS_PAGE = 100;
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = "ApiError";
+        this.status = status;
+    }
+}
+
+// Express 4 doesn't catch rejected promises
+const route = handler => (req, res, next) => handler(req, res).catch(next);
+
+function address(value, name) {
+    const normalized = normalizeAddress(value);
+    if (normalized === null) throw new ApiError(400, `${name} must be an address`);
+    return normalized;
+}
+
+function integer(value, name, { min = 0, max = Number.MAX_SAFE_INTEGER, fallback } = {}) {
+    if (value === undefined) {
+        if (fallback !== undefined) return fallback;
+        throw new ApiError(400, `${name} is required`);
+    }
+
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+        throw new ApiError(400, `${name} must be an integer between ${min} and ${max}`);
+    }
+    return parsed;
+}
+
+// Query values may repeat (?event=A&event=B) or be comma-separated (?event=A,B)
+function list(value) {
+    return [value].flat().filter(item => item !== undefined).flatMap(item => String(item).split(",")).filter(Boolean);
+}
+
+// Transaction page cursors are opaque to clients: the sort key of the last row
+function encodeCursor(tx) {
+    return Buffer.from(JSON.stringify([tx.block, String(tx._id)])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [block, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+        if (!Number.isInteger(block) || !mongoose.isValidObjectId(id)) throw new Error();
+        return { block, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        throw new ApiError(400, "Invalid cursor");
+    }
+}
+
+// `maxViewportTiles` caps /tiles ranges (after clipping to the board)
+export function createApi({ maxViewportTiles = 10000 } = {}) {
+    const app = express();
+    app.use(requestLogging(log));
+
+    app.use((req, res, next) => {
+        req.game = getGame(req.query.game ?? null);
+        if (!req.game) return next(new ApiError(404, `Unknown game "${req.query.game}"`));
+        next();
+    });
+
+    app.get("/bots/:address", route(async (req, res) => {
+        const { Bot, Mine } = req.game.models;
+        const bot_address = address(req.params.address, "address");
+
+        const bot = await Bot.findOne({ bot_address }, { _id: 0, __v: 0 }).lean();
+        if (!bot) throw new ApiError(404, `Unknown bot ${bot_address}`);
+
+        const mines = await Mine.find({ bot_address }, { _id: 0, __v: 0, bot_address: 0, previous: 0 }).sort({ block: 1, _id: 1 }).lean();
+        res.json({
+            ...bot,
+            mines: mines.map(mine => ({ ...mine, tile: req.game.board.fromLocation(mine.location) }))
+        });
+    }));
+
+    app.get("/bots/:address/timeline", route(async (req, res) => {
+        const bot = address(req.params.address, "address");
+
+        const timeline = await getBotTimeline(req.game, bot);
+        if (!timeline) throw new ApiError(404, `Unknown bot ${bot}`);
+        res.json(timeline);
+    }));
+
+    app.get("/players/:address", route(async (req, res) => {
+        const player = address(req.params.address, "address");
+
+        const bots = await req.game.models.Bot.find(
+            { player },
+            { _id: 0, bot_address: 1, status: 1, score: 1, starting_tile: 1 }
+        ).sort({ score: -1 }).lean();
+        if (bots.length === 0) throw new ApiError(404, `Unknown player ${player}`);
+
+        res.json({ player, total_score: bots.reduce((total, bot) => total + (bot.score ?? 0), 0), bots });
+    }));
+
+    app.get("/players/:address/timeline", route(async (req, res) => {
+        const player = address(req.params.address, "address");
+
+        const timeline = await getPlayerTimeline(req.game, player);
+        if (!timeline) throw new ApiError(404, `Unknown player ${player}`);
+        res.json(timeline);
+    }));
+
+    app.get("/tiles", route(async (req, res) => {
+        const { board, models } = req.game;
+        const [x, y, width, height] = list(req.query.range).map(Number);
+
+        let viewport;
+        try {
+            viewport = board.viewport({ layer: integer(req.query.layer, "layer", { fallback: 0 }), x, y, width, height });
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(400, `${error.message} (range is <x>,<y>,<width>,<height>)`);
+        }
+        if (viewport.width * viewport.height > maxViewportTiles) {
+            throw new ApiError(400, `range may cover at most ${maxViewportTiles} tiles`);
+        }
+
+        res.json({ viewport, ...(await loadTileStates(models.Mine, board, viewport)) });
+    }));
+
+    app.get("/transactions", route(async (req, res) => {
+        const { query } = req;
+        const order = query.order ?? "desc";
+        if (!["asc", "desc"].includes(order)) throw new ApiError(400, "order must be asc or desc");
+        const limit = integer(query.limit, "limit", { min: 1, max: MAX_TRANSACTIONS_PAGE, fallback: 50 });
+
+        const filter = {};
+        const events = list(query.event);
+        if (events.length > 0) filter.event_name = { $in: events };
+        const bots = list(query.bot).map(bot => address(bot, "bot"));
+        if (bots.length > 0) filter["args.bot_address"] = { $in: bots };
+
+        const fromBlock = integer(query.from_block, "from_block", { fallback: null });
+        const toBlock = integer(query.to_block, "to_block", { fallback: null });
+        if (fromBlock !== null || toBlock !== null) {
+            filter.block = {
+                ...(fromBlock !== null && { $gte: fromBlock }),
+                ...(toBlock !== null && { $lte: toBlock }),
+            };
+        }
+
+        const conditions = [filter];
+
+        // Most of a player's events (deaths, suspensions, repeat mines) only name
+        // the bot, so players match through the bots they own
+        const players = list(query.player).map(player => address(player, "player"));
+        if (players.length > 0) {
+            const playerBots = await req.game.models.Bot.distinct("bot_address", { player: { $in: players } });
+            conditions.push({ "args.bot_address": { $in: playerBots } });
+        }
+
+        // Rows strictly after the cursor, in the requested order
+        if (query.cursor) {
+            const { block, id } = decodeCursor(query.cursor);
+            const after = order === "asc" ? "$gt" : "$lt";
+            conditions.push({ $or: [{ block: { [after]: block } }, { block, _id: { [after]: id } }] });
+        }
+
+        const direction = order === "asc" ? 1 : -1;
+        const rows = await req.game.models.Transaction.find({ $and: conditions }, { __v: 0 })
+            .sort({ block: direction, _id: direction })
+            .limit(limit + 1)
+            .lean();
+
+        const data = rows.slice(0, limit);
+        res.json({
+            data,
+            next_cursor: rows.length > limit ? encodeCursor(data[data.length - 1]) : null
+        });
+    }));
+
+    app.get("/stats", route(async (req, res) => {
+        res.json(await computeStats(req.game.models));
+    }));
+
+    app.get("/leaderboard", route(async (req, res) => {
+        const { board = "players", window = "all", id } = req.query;
+
+        try {
+            if (id !== undefined) {
+                const rank = await getRank(req.game.models, { board, window, id });
+                if (!rank) throw new ApiError(404, `${id} is not on the ${board} leaderboard`);
+                res.json(rank);
+            } else {
+                const offset = integer(req.query.offset, "offset", { fallback: 0 });
+                const limit = integer(req.query.limit, "limit", { min: 1, fallback: 10 });
+                res.json(await getLeaderboard(req.game.models, { board, window, offset, limit }));
+            }
+        } catch (error) {
+            if (error instanceof LeaderboardError) throw new ApiError(400, error.message);
+            throw error;
+        }
+    }));
+
+    app.get("/analytics", route(async (req, res) => {
+        const { sort } = req.query;
+        const offset = integer(req.query.offset, "offset", { fallback: 0 });
+        const limit = integer(req.query.limit, "limit", { min: 1, fallback: 10 });
+
+        try {
+            res.json(await getAnalytics(req.game, { sort, offset, limit }));
+        } catch (error) {
+            if (error instanceof AnalyticsError) throw new ApiError(400, error.message);
+            throw error;
+        }
+    }));
+
+    app.use((req, res, next) => next(new ApiError(404, `No route for ${req.method} ${req.path}`)));
+
+    app.use((error, req, res, next) => {
+        if (!(error instanceof ApiError)) req.log.error("API error", { method: req.method, path: req.originalUrl, error });
+        res.status(error.status ?? 500).json({ error: error instanceof ApiError ? error.message : "Internal server error" });
+    });
+
+    return app;
+}
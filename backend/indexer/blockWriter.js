@@ -0,0 +1,240 @@
+import { EVENT_HANDLERS } from "./eventHandlers.js";
+import { nextBotStatus, historyEntry, warnInvalidTransition } from "./botLifecycle.js";
+import { eventKey } from "./eventIdentity.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger("ingester");
+const eventLog = log.sampled("event", 0.01); // Once per event in per-event mode
+
+// Bot fields the handlers and the scoring rules read
+const BOT_STATE = { status: 1, score: 1, streak: 1 };
+
+function botState({ status, score, streak }) {
+    return { status, score: score ?? 0, streak: streak ?? 0 };
+}
+
+// **Per-Block State**
+// Caches the bot and mine lookups event handlers need and routes their writes:
+// the "per-event" strategy executes each write as it happens, the "batched"
+// strategy preloads lookups for the whole block and flushes one ordered bulk
+// write per collection at the end.
+class BlockContext {
+    constructor(models, rules, session, batched) {
+        this.models = models;
+        this.rules = rules;
+        this.session = session;
+        this.batched = batched;
+        this.bots = new Map(); // bot_address -> { status, score, streak } or null if unknown
+        this.lastScore = null; // { streak, scored_with } of the last event scored
+        this.mines = new Set(); // `${bot_address}:${location}` of existing mines
+        this.checkedMines = new Set();
+        this.ops = { Bot: [], Mine: [], Transaction: [] };
+    }
+
+    async preload(events) {
+        const botAddresses = [...new Set(events.map(event => event.args.bot_address).filter(Boolean))];
+        const locations = [...new Set(events.map(event => event.args.location).filter(Boolean))];
+
+        if (botAddresses.length > 0) {
+            const bots = await this.models.Bot.find({ bot_address: { $in: botAddresses } }, { bot_address: 1, ...BOT_STATE })
+                .session(this.session).lean();
+            for (const address of botAddresses) this.bots.set(address, null);
+            for (const bot of bots) this.bots.set(bot.bot_address, botState(bot));
+        }
+
+        if (locations.length > 0) {
+            const mines = await this.models.Mine.find({ bot_address: { $in: botAddresses }, location: { $in: locations } }, { bot_address: 1, location: 1 })
+                .session(this.session).lean();
+            for (const { args } of events) this.checkedMines.add(`${args.bot_address}:${args.location}`);
+            for (const mine of mines) this.mines.add(`${mine.bot_address}:${mine.location}`);
+        }
+    }
+
+    async getBot(bot_address) {
+        if (!this.bots.has(bot_address)) {
+            const bot = await this.models.Bot.findOne({ bot_address }, BOT_STATE).session(this.session).lean();
+            this.bots.set(bot_address, bot ? botState(bot) : null);
+        }
+        return this.bots.get(bot_address);
+    }
+
+    async mineExists(bot_address, location) {
+        const key = `${bot_address}:${location}`;
+        if (!this.checkedMines.has(key)) {
+            if (await this.models.Mine.exists({ bot_address, location }).session(this.session)) this.mines.add(key);
+            this.checkedMines.add(key);
+        }
+        return this.mines.has(key);
+    }
+
+    async write(model, op) {
+        if (this.batched) {
+            this.ops[model.modelName].push(op);
+        } else {
+            await model.bulkWrite([op], { session: this.session });
+        }
+    }
+
+    async flush() {
+        // Ordered, so a bot's spawn lands before its score increments
+        if (this.ops.Bot.length > 0) await this.models.Bot.bulkWrite(this.ops.Bot, { ordered: true, session: this.session });
+        if (this.ops.Mine.length > 0) await this.models.Mine.bulkWrite(this.ops.Mine, { ordered: true, session: this.session });
+        if (this.ops.Transaction.length > 0) await this.models.Transaction.bulkWrite(this.ops.Transaction, { ordered: false, session: this.session });
+    }
+
+    // Moves a bot through the lifecycle state machine, recording the transition
+    async transitionBot(event, fields = {}) {
+        const { name, block, timestamp } = event;
+        const { bot_address } = event.args;
+        const bot = await this.getBot(bot_address);
+        const from = bot ? bot.status : null;
+        const to = nextBotStatus(from, name);
+
+        if (!to) {
+            warnInvalidTransition(bot_address, from, name, block);
+            return false;
+        }
+
+        // Only spawning creates a bot, and it sets the initial score and streak in `fields`
+        this.bots.set(bot_address, { ...(bot ?? botState(fields)), status: to });
+        await this.write(this.models.Bot, {
+            updateOne: {
+                filter: { bot_address },
+                update: {
+                    $set: { bot_address, ...fields, status: to },
+                    $push: { history: historyEntry(from, to, name, block, timestamp) }
+                },
+                upsert: true
+            }
+        });
+        return true;
+    }
+
+    // Scores the event for its bot under the game's rules and returns the
+    // score change. Events for bots that don't exist score nothing.
+    async score(event) {
+        const { bot_address } = event.args;
+        const bot = await this.getBot(bot_address);
+        if (!bot) return 0;
+
+        const { delta, streak } = this.rules.score(event, bot);
+        this.lastScore = { streak, scored_with: this.rules.id };
+
+        if (delta !== 0 || streak !== bot.streak) {
+            bot.score += delta;
+            bot.streak = streak;
+            await this.write(this.models.Bot, {
+                updateOne: { filter: { bot_address }, update: { $inc: { score: delta }, $set: { streak } } }
+            });
+        }
+        return delta;
+    }
+
+    async incrementBot(bot_address, counters) {
+        await this.write(this.models.Bot, { updateOne: { filter: { bot_address }, update: { $inc: counters } } });
+    }
+
+    async upsertMine(event, mine_type, { onlyIfNew = false } = {}) {
+        const { block, block_hash, transaction_hash, timestamp, ingested_at } = event;
+        const { bot_address, location } = event.args;
+        const fields = { bot_address, location, mine_type, block, block_hash, transaction_hash, timestamp, ingested_at };
+
+        this.mines.add(`${bot_address}:${location}`);
+        this.checkedMines.add(`${bot_address}:${location}`);
+        await this.write(this.models.Mine, {
+            updateOne: {
+                filter: { bot_address, location },
+                update: onlyIfNew ? { $setOnInsert: fields } : overwriteMine(fields),
+                upsert: true
+            }
+        });
+    }
+}
+
+// What a mine's `previous` entries keep of the states it was overwritten from
+export const MINE_STATE_FIELDS = ["mine_type", "block", "block_hash", "transaction_hash", "timestamp", "ingested_at"];
+
+// Update pipeline setting `fields` on a mine, pushing the state it replaces
+// (if it existed) onto `previous` for rollbacks
+function overwriteMine(fields) {
+    const exists = { $ne: [{ $type: "$block" }, "missing"] };
+    const state = Object.fromEntries(MINE_STATE_FIELDS.map(field => [field, `$${field}`]));
+    const values = Object.entries(fields).filter(([, value]) => value !== undefined);
+
+    return [{ $set: {
+        previous: { $cond: [exists, { $concatArrays: [{ $ifNull: ["$previous", []] }, [state]] }, []] },
+        ...Object.fromEntries(values.map(([field, value]) => [field, { $literal: value }])),
+    } }];
+}
+
+// **Write One Block**
+// Runs inside the block's Mongo transaction. Events whose identity is already
+// stored were applied by an earlier run and are dropped before any writes, so
+// re-ingesting a block never double-counts.
+export async function writeBlock(models, rules, blockEvents, blockNumber, session, strategy) {
+    const { Transaction } = models;
+    const batched = strategy === "batched";
+
+    const stored = await Transaction.find(
+        { block: blockNumber, transaction_hash: { $exists: true } },
+        { transaction_hash: 1, event_index: 1 }
+    ).session(session).lean();
+    const storedKeys = new Set(stored.map(eventKey));
+    const events = blockEvents.filter(event => !storedKeys.has(eventKey(event)));
+
+    if (events.length < blockEvents.length) {
+        log.info("Skipping already processed events", { block: blockNumber, skipped: blockEvents.length - events.length });
+    }
+
+    const ctx = new BlockContext(models, rules, session, batched);
+    if (batched) await ctx.preload(events);
+
+    for (const event of events) {
+        const handler = EVENT_HANDLERS[event.name];
+        ctx.lastScore = null;
+        const scoreDelta = handler ? await handler(ctx, event) : 0;
+
+        await ctx.write(Transaction, {
+            insertOne: {
+                document: {
+                    block: event.block,
+                    block_hash: event.block_hash,
+                    transaction_hash: event.transaction_hash,
+                    event_index: event.event_index,
+                    event_name: event.name,
+                    event_hash: event.key,
+                    data: event.data,
+                    args: event.args,
+                    score_delta: scoreDelta,
+                    // Events the rules never saw say so, so a rescore skips them too
+                    ...(ctx.lastScore ?? { scored_with: null }),
+                    timestamp: event.timestamp,
+                    ingested_at: event.ingested_at
+                }
+            }
+        });
+
+        if (!batched) eventLog.debug("Processed event", { block: blockNumber, event: event.name });
+    }
+
+    if (batched) {
+        await ctx.flush();
+        log.debug("Processed block", { block: blockNumber, events: events.length });
+    }
+}
+
+// Stores events that failed to decode. Keyed like Transactions, so re-ingesting
+// a block doesn't duplicate them.
+export async function writeDeadLetters(models, deadLetters, session) {
+    if (deadLetters.length === 0) return;
+
+    await models.DeadLetter.bulkWrite(deadLetters.map(deadLetter => ({
+        updateOne: {
+            filter: { block: deadLetter.block, transaction_hash: deadLetter.transaction_hash, event_index: deadLetter.event_index },
+            update: { $setOnInsert: deadLetter },
+            upsert: true
+        }
+    })), { ordered: false, session });
+
+    log.warn("Undecodable events sent to dead letters", { block: deadLetters[0].block, count: deadLetters.length });
+}
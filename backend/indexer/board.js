@@ -0,0 +1,151 @@
+// **Board Model**
+// The board is a stack of layers, each a `width` x `height` grid of tiles. On
+// chain a tile is a single location felt, numbered layer by layer and row by
+// row:
+//   location = layer * width * height + y * width + x
+// Stored locations are hex strings (as decoded), so that's what
+// `toLocation` produces.
+
+// Per-tile states in dense tile arrays. Higher states win when several mines
+// cover the same tile.
+export const TILE_STATE = {
+    UNMINED: 0,
+    MINED: 1,
+    DIAMOND: 2,
+    BOMB: 3,
+};
+
+const MINE_TYPE_STATES = {
+    Empty: TILE_STATE.MINED,
+    Diamond: TILE_STATE.DIAMOND,
+    Bomb: TILE_STATE.BOMB,
+};
+
+export function tileState(mineType) {
+    return MINE_TYPE_STATES[mineType] ?? TILE_STATE.MINED;
+}
+
+// Reads a viewport's tile states (see Board#tileStates) from a game's Mine model
+export async function loadTileStates(Mine, board, viewport) {
+    const mines = await Mine.find(
+        { location: { $in: board.locationsIn(viewport) } },
+        { location: 1, mine_type: 1, bot_address: 1 }
+    ).lean();
+
+    return board.tileStates(viewport, mines);
+}
+
+export class Board {
+    constructor({ width, height, layers }) {
+        for (const [name, value] of Object.entries({ width, height, layers })) {
+            if (!Number.isInteger(value) || value < 1) throw new Error(`Board ${name} must be a positive integer`);
+        }
+
+        this.width = width;
+        this.height = height;
+        this.layers = layers;
+    }
+
+    contains({ layer, x, y }) {
+        return [layer, x, y].every(Number.isInteger)
+            && layer >= 0 && layer < this.layers
+            && x >= 0 && x < this.width
+            && y >= 0 && y < this.height;
+    }
+
+    toLocation({ layer, x, y }) {
+        if (!this.contains({ layer, x, y })) throw new Error(`Tile (${layer}, ${x}, ${y}) is off the board`);
+        return "0x" + (BigInt(layer) * BigInt(this.width * this.height) + BigInt(y * this.width + x)).toString(16);
+    }
+
+    // Returns { layer, x, y }, or null for locations off the board
+    fromLocation(location) {
+        let value;
+        try {
+            value = BigInt(location);
+        } catch (error) {
+            return null;
+        }
+
+        const layerSize = BigInt(this.width * this.height);
+        const layer = value / layerSize;
+        if (value < 0n || layer >= BigInt(this.layers)) return null;
+
+        const offset = Number(value % layerSize);
+        return { layer: Number(layer), x: offset % this.width, y: Math.floor(offset / this.width) };
+    }
+
+    // Validates a { layer, x, y, width, height } rectangle and clips it to the
+    // board. Throws with a client-facing message when it's malformed or misses
+    // the board entirely.
+    viewport({ layer, x, y, width, height }) {
+        if (![layer, x, y, width, height].every(Number.isInteger) || width < 1 || height < 1) {
+            throw new Error("A viewport needs integer layer, x, y and positive width, height");
+        }
+        if (layer < 0 || layer >= this.layers) throw new Error(`Layer ${layer} is off the board`);
+
+        const left = Math.max(0, x);
+        const top = Math.max(0, y);
+        const right = Math.min(this.width, x + width);
+        const bottom = Math.min(this.height, y + height);
+        if (left >= right || top >= bottom) throw new Error("Viewport is off the board");
+
+        return { layer, x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    // The viewports covering locations `from` through `to` on one layer, row
+    // by row: the rest of the first row, any full rows between and the start of
+    // the last, so at most three. For clients that still ask by location range.
+    rangeViewports(from, to) {
+        const start = this.fromLocation(from);
+        const end = this.fromLocation(to);
+        if (!start || !end) throw new Error("Location range is off the board");
+        if (BigInt(from) > BigInt(to)) throw new Error("Location range must not run backwards");
+        if (start.layer !== end.layer) throw new Error("Location range must stay on one layer");
+
+        const { layer } = start;
+        if (start.y === end.y) return [{ layer, x: start.x, y: start.y, width: end.x - start.x + 1, height: 1 }];
+
+        const viewports = [{ layer, x: start.x, y: start.y, width: this.width - start.x, height: 1 }];
+        if (end.y - start.y > 1) viewports.push({ layer, x: 0, y: start.y + 1, width: this.width, height: end.y - start.y - 1 });
+        viewports.push({ layer, x: 0, y: end.y, width: end.x + 1, height: 1 });
+        return viewports;
+    }
+
+    static viewportContains(viewport, { layer, x, y }) {
+        return layer === viewport.layer
+            && x >= viewport.x && x < viewport.x + viewport.width
+            && y >= viewport.y && y < viewport.y + viewport.height;
+    }
+
+    // Locations of every tile in a viewport, in row-major order
+    locationsIn(viewport) {
+        const locations = [];
+        for (let y = viewport.y; y < viewport.y + viewport.height; y++) {
+            for (let x = viewport.x; x < viewport.x + viewport.width; x++) {
+                locations.push(this.toLocation({ layer: viewport.layer, x, y }));
+            }
+        }
+        return locations;
+    }
+
+    // Dense row-major arrays for a viewport: each tile's state, and the bot
+    // whose mine gave it that state (null for unmined tiles)
+    tileStates(viewport, mines) {
+        const tiles = new Array(viewport.width * viewport.height).fill(TILE_STATE.UNMINED);
+        const bots = new Array(tiles.length).fill(null);
+
+        for (const mine of mines) {
+            const tile = this.fromLocation(mine.location);
+            if (!tile || !Board.viewportContains(viewport, tile)) continue;
+
+            const i = (tile.y - viewport.y) * viewport.width + (tile.x - viewport.x);
+            const state = tileState(mine.mine_type);
+            if (state > tiles[i]) {
+                tiles[i] = state;
+                bots[i] = mine.bot_address ?? null;
+            }
+        }
+        return { tiles, bots };
+    }
+}
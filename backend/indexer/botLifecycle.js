@@ -0,0 +1,45 @@
+import { createLogger } from "../logger.js";
+
+const log = createLogger("ingester");
+
+// **Bot Lifecycle State Machine**
+// A bot is spawned alive, can be suspended and revived any number of times,
+// and dies for good when it finds a bomb. Anything else is rejected.
+export const BOT_STATUS = {
+    ALIVE: "alive",
+    SUSPENDED: "suspended",
+    REVIVED: "revived",
+    DEAD: "dead",
+};
+
+// Statuses in which a bot is still active on the board
+export const ACTIVE_STATUSES = [BOT_STATUS.ALIVE, BOT_STATUS.REVIVED];
+
+// event name -> { allowed "from" statuses, resulting status }
+// `null` as a "from" status means the bot does not exist yet.
+const TRANSITIONS = {
+    SpawnedBot: { from: [null], to: BOT_STATUS.ALIVE },
+    SuspendBot: { from: [BOT_STATUS.ALIVE, BOT_STATUS.REVIVED], to: BOT_STATUS.SUSPENDED },
+    ReviveBot: { from: [BOT_STATUS.SUSPENDED], to: BOT_STATUS.REVIVED },
+    BombFound: { from: [BOT_STATUS.ALIVE, BOT_STATUS.REVIVED], to: BOT_STATUS.DEAD },
+};
+
+export function isLifecycleEvent(eventName) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, eventName);
+}
+
+// Returns the status the bot moves to, or null if the transition is invalid
+export function nextBotStatus(currentStatus, eventName) {
+    const transition = TRANSITIONS[eventName];
+    if (!transition) return null;
+
+    return transition.from.includes(currentStatus ?? null) ? transition.to : null;
+}
+
+export function historyEntry(from, to, eventName, block, timestamp) {
+    return { from: from ?? null, to, event: eventName, block, timestamp };
+}
+
+export function warnInvalidTransition(botAddress, currentStatus, eventName, block) {
+    log.warn("Rejected invalid bot transition", { bot: botAddress, event: eventName, block, from: currentStatus ?? null });
+}
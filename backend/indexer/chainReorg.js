@@ -0,0 +1,147 @@
+import { createLogger } from "../logger.js";
+import { MINE_STATE_FIELDS } from "./blockWriter.js";
+
+const log = createLogger("ingester");
+
+// **Chain Reorg Detection and Rollback**
+// Every processed block's hash and parent hash are stored in the Block
+// collection. A new block whose parent hash doesn't match what we stored for
+// the previous height means the node switched forks: we walk back to the
+// common ancestor, undo everything written for the orphaned blocks and let
+// the caller replay the canonical chain from there.
+export class ReorgGuard {
+    constructor({ provider, Block, Bot, Mine, Transaction, DeadLetter, rewindCheckpoint, maxDepth = 100 }) {
+        this.provider = provider;
+        this.Block = Block;
+        this.Bot = Bot;
+        this.Mine = Mine;
+        this.Transaction = Transaction;
+        this.DeadLetter = DeadLetter;
+        this.rewindCheckpoint = rewindCheckpoint; // Moves the checkpoint back, never forward
+        this.maxDepth = maxDepth;
+    }
+
+    async recordBlock(header, session = null) {
+        await this.Block.updateOne(
+            { block_number: header.block_number },
+            { $set: { block_hash: header.block_hash, parent_hash: header.parent_hash } },
+            { upsert: true, session }
+        );
+    }
+
+    // True if `header` builds on the block we processed at the previous height.
+    // Heights we never recorded (e.g. right after upgrading) are trusted.
+    async isContinuous(header) {
+        const parent = await this.Block.findOne({ block_number: header.block_number - 1 }).lean();
+        return !parent || parent.block_hash === header.parent_hash;
+    }
+
+    // True if the block we stored at `blockNumber` is still on the canonical chain
+    async isCanonical(blockNumber) {
+        const stored = await this.Block.findOne({ block_number: blockNumber }).lean();
+        if (!stored) return true;
+
+        const header = await this.provider.getBlock(blockNumber);
+        return header.block_hash === stored.block_hash;
+    }
+
+    async findCommonAncestor(fromBlock) {
+        for (let block = fromBlock; block > fromBlock - this.maxDepth; block--) {
+            if (await this.isCanonical(block)) return block;
+        }
+        throw new Error(`No common ancestor within ${this.maxDepth} blocks of ${fromBlock}`);
+    }
+
+    // Walks back from `fromBlock`, rolls back to the common ancestor and returns it
+    async handleFork(fromBlock) {
+        const ancestor = await this.findCommonAncestor(fromBlock);
+        log.warn("Reorg detected, rolling back to the common ancestor", { block: fromBlock, ancestor });
+        await this.rollbackTo(ancestor);
+        return ancestor;
+    }
+
+    // Runs in a single Mongo transaction so a crash mid-rollback leaves nothing half undone
+    async rollbackTo(ancestor) {
+        await this.Block.db.transaction(session => this.rollbackInSession(ancestor, session));
+    }
+
+    async rollbackInSession(ancestor, session) {
+        const orphaned = { $gt: ancestor };
+
+        // Score and repeat-mine increments recorded on the orphaned transactions
+        const botDeltas = await this.Transaction.aggregate([
+            { $match: { block: orphaned } },
+            { $group: {
+                _id: { $ifNull: ["$args.bot_address", { $arrayElemAt: ["$data", 0] }] },
+                score: { $sum: { $ifNull: ["$score_delta", 0] } },
+                repeat_mines: { $sum: { $cond: [{ $eq: ["$event_name", "TileAlreadyMined"] }, 1, 0] } },
+                scored: { $sum: { $cond: [{ $ifNull: ["$scored_with", false] }, 1, 0] } },
+            } },
+        ]).session(session);
+
+        // Streaks go back to what the bot's last surviving scored event left them at
+        const botIds = botDeltas.map(({ _id }) => _id);
+        const survivingStreaks = await this.Transaction.aggregate([
+            { $match: { block: { $lte: ancestor }, "args.bot_address": { $in: botIds }, streak: { $exists: true } } },
+            { $sort: { block: -1, _id: -1 } },
+            { $group: { _id: "$args.bot_address", streak: { $first: "$streak" } } },
+        ]).session(session);
+        const streaks = new Map(survivingStreaks.map(({ _id, streak }) => [_id, streak]));
+
+        const bulkBots = botDeltas
+            .filter(({ score, repeat_mines, scored }) => score !== 0 || repeat_mines !== 0 || scored > 0)
+            .map(({ _id, score, repeat_mines }) => ({
+                updateOne: {
+                    filter: { bot_address: _id },
+                    update: {
+                        $inc: { score: -score, repeat_mines: -repeat_mines },
+                        $set: { streak: streaks.get(_id) ?? 0 }
+                    }
+                }
+            }));
+
+        // Lifecycle transitions: restore the status from before the first orphaned
+        // transition, or drop the bot entirely if it was spawned on the orphaned fork
+        const transitionedBots = await this.Bot.find({ "history.block": orphaned }).session(session).lean();
+        for (const bot of transitionedBots) {
+            const firstOrphaned = bot.history.find(entry => entry.block > ancestor);
+
+            if (!firstOrphaned.from) {
+                bulkBots.push({ deleteOne: { filter: { _id: bot._id } } });
+            } else {
+                bulkBots.push({
+                    updateOne: {
+                        filter: { _id: bot._id },
+                        update: {
+                            $set: { status: firstOrphaned.from },
+                            $pull: { history: { block: orphaned } }
+                        }
+                    }
+                });
+            }
+        }
+
+        if (bulkBots.length > 0) await this.Bot.bulkWrite(bulkBots, { ordered: true, session });
+
+        // Mines an orphaned event overwrote go back to their last state from before
+        // the fork; the others were first mined on the fork and go
+        const overwritten = await this.Mine.find({ block: orphaned, "previous.block": { $lte: ancestor } }).session(session).lean();
+        const restoredMines = overwritten.map(({ _id, previous }) => {
+            const kept = previous.findLastIndex(state => state.block <= ancestor);
+            const update = { $set: { ...previous[kept], previous: previous.slice(0, kept) } };
+
+            // Fields the restored state never had (older documents) mustn't keep the fork's values
+            const missing = MINE_STATE_FIELDS.filter(field => previous[kept][field] === undefined);
+            if (missing.length > 0) update.$unset = Object.fromEntries(missing.map(field => [field, ""]));
+            return { updateOne: { filter: { _id }, update } };
+        });
+        if (restoredMines.length > 0) await this.Mine.bulkWrite(restoredMines, { ordered: false, session });
+        const mines = await this.Mine.deleteMany({ block: orphaned }, { session });
+        const transactions = await this.Transaction.deleteMany({ block: orphaned }, { session });
+        await this.Block.deleteMany({ block_number: orphaned }, { session });
+        await this.DeadLetter.deleteMany({ block: orphaned }, { session });
+        await this.rewindCheckpoint(ancestor, session);
+
+        log.info("Rolled back", { ancestor, transactions: transactions.deletedCount, mines: mines.deletedCount, mines_restored: restoredMines.length, bot_updates: bulkBots.length });
+    }
+}
@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+import { Indexer } from "./indexer.js";
+import { config } from "./config.js";
+import { getGames, getGame } from "./games.js";
+import { loadScoringRules } from "./scoring.js";
+import { rescore } from "./rescore.js";
+import { mongoConnected, startMetricsServer } from "../metrics.js";
+import { NodeProvider, RpcClient } from "../rpc.js";
+import { createLogger, withLogContext } from "../logger.js";
+
+const log = createLogger("ingester");
+
+// **Indexer CLI**
+//   node indexer/cli.js backfill [--to <block>]      catch up to the head (or --to) and exit
+//   node indexer/cli.js live                         catch up, then follow new blocks
+//   node indexer/cli.js reindex --from <block>       roll back to <block> - 1 and re-ingest
+//   node indexer/cli.js rescore [--rules <file>] [--dry-run]
+//                                                    recompute scores from stored events (stop the indexer first)
+// Every command also accepts --strategy per-event|batched (default: INDEXER_STRATEGY or batched)
+// and --game <id> to run against a single configured game instead of all of them.
+// Everything but rescore serves /metrics and /healthz on METRICS_PORT while it runs.
+const USAGE = "Usage: node indexer/cli.js <backfill [--to <block>] | live | reindex --from <block> | rescore [--rules <file>] [--dry-run]> [--strategy per-event|batched] [--game <id>]";
+
+// Options without a value (like --dry-run) are set to true
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        if (!rest[i].startsWith("--")) throw new Error(`Unexpected argument "${rest[i]}"`);
+        const hasValue = i + 1 < rest.length && !rest[i + 1].startsWith("--");
+        options[rest[i].slice(2)] = hasValue ? rest[++i] : true;
+    }
+    return { command, options };
+}
+
+// Healthy while Mongo is connected and no game's indexer has stalled
+function checkHealth(indexers) {
+    const mongo = mongoConnected();
+    const games = Object.fromEntries(indexers.map(indexer => [indexer.game.id, indexer.health()]));
+
+    return {
+        healthy: mongo && Object.values(games).every(game => !game.stalled),
+        mongo: mongo ? "connected" : "disconnected",
+        games,
+    };
+}
+
+// Runs one game's share of a command with the game on everything it logs
+function forGame(game, fn) {
+    return withLogContext({ game: game.id }, fn);
+}
+
+function blockOption(options, name) {
+    const value = Number(options[name]);
+    if (!Number.isInteger(value) || value < 0) throw new Error(`--${name} must be a block number`);
+    return value;
+}
+
+// Resolves the command to run before anything connects, so bad arguments fail fast
+function resolveCommand(command, options) {
+    switch (command) {
+        case "backfill": {
+            const toBlock = options.to !== undefined ? blockOption(options, "to") : null;
+            return async indexers => {
+                for (const indexer of indexers) await forGame(indexer.game, () => indexer.backfill(toBlock));
+            };
+        }
+
+        case "live":
+            // Games follow the chain side by side; each one polls independently
+            return indexers => {
+                log.info("Event processor started", { games: indexers.length });
+                return Promise.all(indexers.map(indexer => forGame(indexer.game, () => indexer.live())));
+            };
+
+        case "reindex": {
+            const fromBlock = blockOption(options, "from");
+            return async indexers => {
+                for (const indexer of indexers) await forGame(indexer.game, () => indexer.reindex(fromBlock));
+            };
+        }
+
+        case "rescore": {
+            // Without --rules, each game is rescored with its own configured rules
+            const rules = options.rules !== undefined ? loadScoringRules(options.rules) : null;
+            const dryRun = options["dry-run"] === true;
+            return async indexers => {
+                for (const { game } of indexers) await forGame(game, () => rescore(game, rules ?? game.scoring, { dryRun }));
+            };
+        }
+
+        default:
+            throw new Error(command ? `Unknown command "${command}"` : "Missing command");
+    }
+}
+
+async function main() {
+    let run;
+    let indexers;
+    let serveMetrics;
+
+    try {
+        const { command, options } = parseArgs(process.argv.slice(2));
+        run = resolveCommand(command, options);
+        serveMetrics = command !== "rescore";
+
+        const games = options.game !== undefined ? [getGame(options.game)] : getGames();
+        if (!games[0]) throw new Error(`Unknown game "${options.game}"`);
+
+        const provider = new NodeProvider(new RpcClient(config.rpc));
+        const indexerConfig = { ...config, strategy: options.strategy || config.strategy };
+        indexers = games.map(game => new Indexer({ provider, config: indexerConfig, game }));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n${USAGE}`);
+        process.exit(1);
+    }
+
+    await mongoose.connect(config.dbUri);
+    log.info("MongoDB connected");
+
+    const metricsServer = serveMetrics ? startMetricsServer(config.metricsPort, () => checkHealth(indexers)) : null;
+
+    await run(indexers);
+    metricsServer?.close();
+    await mongoose.disconnect();
+}
+
+main().catch(error => {
+    log.error("Indexer failed", { error });
+    process.exit(1);
+});
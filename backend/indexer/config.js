@@ -0,0 +1,45 @@
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+dotenv.config();
+
+// **Indexer Configuration**
+// Everything is read from the environment (or .env), with defaults matching
+// the demo deployment.
+export const WRITE_STRATEGIES = ["per-event", "batched"];
+
+export const config = {
+    // Node endpoints in order of preference, with failover between them (see rpc.js).
+    // RPC_URLS takes a comma-separated list; TRANSACTION_API_URL a single URL.
+    rpc: {
+        urls: (process.env.RPC_URLS || process.env.TRANSACTION_API_URL || "https://madara-apex-htps-demo.karnot.xyz")
+            .split(",").map(url => url.trim()).filter(Boolean),
+        timeoutMs: Number(process.env.RPC_TIMEOUT_MS) || 10000,
+        retries: Number(process.env.RPC_RETRIES) || 3,
+        backoffMs: Number(process.env.RPC_BACKOFF_MS) || 250,
+        maxBackoffMs: Number(process.env.RPC_MAX_BACKOFF_MS) || 10000,
+        breakerThreshold: Number(process.env.RPC_BREAKER_THRESHOLD) || 5,
+        breakerCooldownMs: Number(process.env.RPC_BREAKER_COOLDOWN_MS) || 30000,
+        maxHeadLag: Number(process.env.RPC_MAX_HEAD_LAG) || 5,
+    },
+    // Blocks are written inside Mongo transactions, so this must be a replica set
+    dbUri: process.env.DB_URI || "mongodb://localhost:27017/starknet_game",
+    strategy: process.env.INDEXER_STRATEGY || "batched",
+    gamesConfigPath: process.env.GAMES_CONFIG || null,
+    gameAddress: process.env.GAME_ADDRESS || null,
+    abiPath: process.env.GAME_ABI_PATH || fileURLToPath(new URL("./abi/game.json", import.meta.url)),
+    scoringRulesPath: process.env.SCORING_RULES || fileURLToPath(new URL("./rules/default.json", import.meta.url)),
+    startBlock: Number(process.env.START_BLOCK) || 430, // Used when no checkpoint exists yet
+    pollIntervalMs: Number(process.env.POLL_INTERVAL_MS) || 2000,
+    backfillConcurrency: Number(process.env.BACKFILL_CONCURRENCY) || 4,
+    backfillRangeSize: Number(process.env.BACKFILL_RANGE_SIZE) || 100,
+    maxReorgDepth: Number(process.env.MAX_REORG_DEPTH) || 100,
+    metricsPort: Number(process.env.METRICS_PORT) || 9464,
+    // /healthz reports a game's indexer as stalled after this long without progress
+    stallTimeoutMs: Number(process.env.STALL_TIMEOUT_MS) || 120000,
+    // Board layout used to map locations to tiles; games can override it
+    board: {
+        width: Number(process.env.BOARD_WIDTH) || 100,
+        height: Number(process.env.BOARD_HEIGHT) || 100,
+        layers: Number(process.env.BOARD_LAYERS) || 1,
+    },
+};
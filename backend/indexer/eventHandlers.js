@@ -0,0 +1,47 @@
+// **Event Effects**
+// What each game event does to the Bot and Mine collections, written against
+// a BlockContext so the same rules apply whichever write strategy is in use.
+// Handlers read the ABI-decoded fields from `event.args`, then hand the event
+// to the game's scoring rules (see scoring.js) and return the score change,
+// which is stored on the event's Transaction so a rollback can undo it.
+
+// Transitions the state machine rejects (a second death, a revive of a live
+// bot, a duplicate spawn) change nothing and score nothing
+async function transition(ctx, event) {
+    if (!(await ctx.transitionBot(event))) return 0;
+    return ctx.score(event);
+}
+
+export const EVENT_HANDLERS = {
+    async SpawnedBot(ctx, event) {
+        const spawned = await ctx.transitionBot(event, { player: event.args.player, score: 0, streak: 0, starting_tile: event.args.location });
+        if (!spawned) return 0;
+        return ctx.score(event);
+    },
+
+    // Only the first time a bot mines a tile counts
+    async TileMined(ctx, event) {
+        if (await ctx.mineExists(event.args.bot_address, event.args.location)) return 0;
+
+        await ctx.upsertMine(event, "Empty", { onlyIfNew: true });
+        return ctx.score(event);
+    },
+
+    async DiamondFound(ctx, event) {
+        await ctx.upsertMine(event, "Diamond");
+        return ctx.score(event);
+    },
+
+    async BombFound(ctx, event) {
+        await ctx.upsertMine(event, "Bomb");
+        return transition(ctx, event);
+    },
+
+    SuspendBot: transition,
+    ReviveBot: transition,
+
+    async TileAlreadyMined(ctx, event) {
+        await ctx.incrementBot(event.args.bot_address, { repeat_mines: 1 });
+        return ctx.score(event);
+    },
+};
@@ -0,0 +1,27 @@
+// **Event Identity**
+// An event is uniquely identified by (block, transaction hash, index of the
+// event within its transaction). Re-ingesting a block yields the same keys,
+// which is what lets the ingesters skip events they have already applied.
+
+// Tags each raw RPC event of one block with its index inside its transaction.
+// Events must be in the order the node returned them.
+export function assignEventIndexes(events) {
+    const nextIndex = new Map(); // transaction hash -> next event index
+
+    return events.map(event => {
+        const eventIndex = nextIndex.get(event.transaction_hash) ?? 0;
+        nextIndex.set(event.transaction_hash, eventIndex + 1);
+        return { ...event, event_index: eventIndex };
+    });
+}
+
+export function eventKey({ transaction_hash, event_index }) {
+    return `${transaction_hash}:${event_index}`;
+}
+
+// Unique index for the Transaction collection. Documents stored before events
+// carried a transaction hash are left out so the index can be built over them.
+export const EVENT_IDENTITY_INDEX = [
+    { block: 1, transaction_hash: 1, event_index: 1 },
+    { unique: true, partialFilterExpression: { transaction_hash: { $exists: true } } },
+];
@@ -0,0 +1,115 @@
+import { readFileSync } from "fs";
+import { events as starknetEvents, CallData, num } from "starknet";
+
+// **ABI-Driven Event Decoding**
+// Event selectors, names and field layouts all come from the game contract's
+// ABI, so a layout change is a new ABI file rather than new positional reads.
+// Decoded fields are named after the ABI members and typed for storage:
+// felts and addresses as hex strings, small unsigned ints as numbers, u256 as
+// a hex string and bools as booleans.
+const SMALL_UINTS = ["core::integer::u8", "core::integer::u16", "core::integer::u32", "core::integer::u64"];
+const SINGLE_FELT_TYPES = [
+    "core::felt252",
+    "core::starknet::contract_address::ContractAddress",
+    "core::starknet::class_hash::ClassHash",
+    "core::bool",
+    "core::integer::u128",
+    ...SMALL_UINTS,
+];
+const U256 = "core::integer::u256";
+
+export class EventDecodeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "EventDecodeError";
+    }
+}
+
+export function loadAbi(path) {
+    return JSON.parse(readFileSync(path, "utf8"));
+}
+
+// BigInts can't be stored in Mongo, so everything numeric that isn't a small uint becomes hex
+function toStorable(value) {
+    if (typeof value === "bigint") return num.toHex(value);
+    if (Array.isArray(value)) return value.map(toStorable);
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toStorable(item)]));
+    }
+    return value;
+}
+
+function normalizeField(type, value) {
+    if (SMALL_UINTS.includes(type)) return Number(value);
+    return toStorable(value);
+}
+
+// Number of felts a member list occupies, or null if any member is variable-length
+function fixedLength(members) {
+    let length = 0;
+    for (const { type } of members) {
+        if (SINGLE_FELT_TYPES.includes(type)) length += 1;
+        else if (type === U256) length += 2;
+        else return null;
+    }
+    return length;
+}
+
+export class EventDecoder {
+    constructor(abi) {
+        this.abiEvents = starknetEvents.getAbiEvents(abi);
+        this.abiStructs = CallData.getAbiStruct(abi);
+        this.abiEnums = CallData.getAbiEnum(abi);
+
+        // Top-level selector -> short event name, e.g. "SpawnedBot"
+        this.names = {};
+        for (const [selector, abiEvent] of Object.entries(this.abiEvents)) {
+            this.names[selector] = abiEvent.name ? abiEvent.name.split("::").pop() : selector;
+        }
+    }
+
+    eventName(key) {
+        return this.names[num.toHex(key)] ?? null;
+    }
+
+    // Returns { name, args } for a raw RPC event, or throws EventDecodeError
+    decode({ keys, data }) {
+        // Nested component events carry one selector key per enum level
+        let abiEvent = this.abiEvents[num.toHex(keys[0])];
+        let selectorKeys = 1;
+        while (abiEvent && !abiEvent.name && selectorKeys < keys.length) {
+            abiEvent = abiEvent[num.toHex(keys[selectorKeys++])];
+        }
+        if (!abiEvent?.members) {
+            throw new EventDecodeError(`Unknown event selector ${keys.slice(0, selectorKeys).join(", ")}`);
+        }
+        const name = abiEvent.name.split("::").pop();
+
+        const dataMembers = abiEvent.members.filter(member => member.kind === "data");
+        const keyMembers = abiEvent.members.filter(member => member.kind === "key");
+        const expectedData = fixedLength(dataMembers);
+        const expectedKeys = fixedLength(keyMembers);
+
+        if (expectedData !== null && data.length !== expectedData) {
+            throw new EventDecodeError(`${name} expects ${expectedData} data felts, got ${data.length}`);
+        }
+        if (expectedKeys !== null && keys.length - selectorKeys !== expectedKeys) {
+            throw new EventDecodeError(`${name} expects ${expectedKeys} key felts, got ${keys.length - selectorKeys}`);
+        }
+
+        let parsed;
+        try {
+            // parseEvents consumes the arrays it's given
+            [parsed] = starknetEvents.parseEvents([{ keys: [...keys], data: [...data] }], this.abiEvents, this.abiStructs, this.abiEnums);
+        } catch (error) {
+            throw new EventDecodeError(`Malformed ${name}: ${error.message}`);
+        }
+
+        const values = Object.values(parsed)[0];
+        const args = {};
+        for (const { name: field, type } of abiEvent.members) {
+            args[field] = normalizeField(type, values[field]);
+        }
+        return { name, args };
+    }
+}
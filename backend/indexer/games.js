@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import { readFileSync } from "fs";
+import path from "path";
+import { num } from "starknet";
+import { EventDecoder, loadAbi } from "./events.js";
+import { getModels } from "./models.js";
+import { Board } from "./board.js";
+import { loadScoringRules } from "./scoring.js";
+import { config } from "./config.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger("ingester");
+
+// **Game Deployments**
+// Each configured game contract gets its own ABI decoder, its own event filter
+// and its own Mongo database, so several deployments (or seasons) can be
+// indexed and served side by side.
+//
+// GAMES_CONFIG points at a JSON array of
+//   { "id": "season-2", "address": "0x...", "abiPath": "...", "database": "...", "startBlock": 430,
+//     "board": { "width": 100, "height": 100, "layers": 1 }, "scoringRules": "..." }
+// where everything but `id` and `address` is optional. Without it a single
+// "default" game is built from GAME_ADDRESS that uses the main database.
+export class Game {
+    constructor({
+        id, address, abiPath = config.abiPath, database = null, startBlock = config.startBlock, board = {},
+        scoringRules = config.scoringRulesPath
+    }) {
+        if (!id) throw new Error("Every game needs an id");
+
+        this.id = id;
+        this.address = address ? num.toHex(address) : null;
+        this.startBlock = startBlock;
+        this.board = new Board({ ...config.board, ...board });
+        this.scoring = loadScoringRules(scoringRules);
+        this.decoder = new EventDecoder(loadAbi(abiPath));
+        this.connection = database ? mongoose.connection.useDb(database, { useCache: true }) : mongoose.connection;
+        this.models = getModels(this.connection);
+    }
+
+    // Extra starknet_getEvents filter fields restricting results to this game's contract
+    get eventFilter() {
+        return this.address ? { address: this.address } : {};
+    }
+}
+
+function loadGameConfigs() {
+    if (config.gamesConfigPath) {
+        const games = JSON.parse(readFileSync(config.gamesConfigPath, "utf8"));
+        const ids = games.map(game => game.id);
+        if (new Set(ids).size !== ids.length) throw new Error(`Duplicate game ids in ${config.gamesConfigPath}`);
+
+        // ABI and scoring rules paths are relative to the games config file
+        const configDir = path.dirname(path.resolve(config.gamesConfigPath));
+        return games.map(game => ({
+            ...game,
+            ...(game.abiPath && { abiPath: path.resolve(configDir, game.abiPath) }),
+            ...(game.scoringRules && { scoringRules: path.resolve(configDir, game.scoringRules) }),
+        }));
+    }
+
+    if (!config.gameAddress) {
+        log.warn("GAME_ADDRESS is not set: indexing events from every contract on the chain");
+    }
+    return [{ id: "default", address: config.gameAddress }];
+}
+
+let games = null;
+
+export function getGames() {
+    if (!games) games = loadGameConfigs().map(gameConfig => new Game(gameConfig));
+    return games;
+}
+
+// Looks up a game by id; with no id, the first configured game
+export function getGame(id = null) {
+    const all = getGames();
+    return id ? all.find(game => game.id === id) ?? null : all[0];
+}
@@ -0,0 +1,35 @@
+// **Indexer Heartbeat**
+// The indexer records where it stands in each game's Checkpoint collection, so
+// other processes (the WebSocket server's /healthz) can tell whether it's
+// keeping up without talking to it. It counts as stalled once it hasn't made
+// progress (committed a block, or confirmed it's at the head) for
+// `stallTimeoutMs`.
+export const HEARTBEAT_KEY = "heartbeat";
+
+// { head, processed, lag, progress_at, stalled } for one game
+export function describeProgress({ head, processed, progressAt }, stallTimeoutMs, now = Date.now()) {
+    return {
+        head,
+        processed,
+        lag: head !== null && processed !== null ? head - processed : null,
+        progress_at: progressAt ? new Date(progressAt).toISOString() : null,
+        stalled: !progressAt || now - new Date(progressAt).getTime() > stallTimeoutMs,
+    };
+}
+
+export async function saveHeartbeat(Checkpoint, { head, processed, progressAt }) {
+    await Checkpoint.updateOne(
+        { key: HEARTBEAT_KEY },
+        { value: { head, processed, progress_at: new Date(progressAt) } },
+        { upsert: true }
+    );
+}
+
+// The game's last heartbeat as described above, or null if no indexer ever wrote one
+export async function readHeartbeat(Checkpoint, stallTimeoutMs) {
+    const heartbeat = await Checkpoint.findOne({ key: HEARTBEAT_KEY }).lean();
+    if (!heartbeat) return null;
+
+    const { head, processed, progress_at } = heartbeat.value;
+    return describeProgress({ head, processed, progressAt: progress_at }, stallTimeoutMs);
+}
@@ -0,0 +1,277 @@
+import { writeBlock, writeDeadLetters } from "./blockWriter.js";
+import { ReorgGuard } from "./chainReorg.js";
+import { RangeBackfill } from "./rangeBackfill.js";
+import { assignEventIndexes } from "./eventIdentity.js";
+import { WRITE_STRATEGIES } from "./config.js";
+import { describeProgress, saveHeartbeat } from "./heartbeat.js";
+import { blockLag, blockWriteDuration, chainHead, deadLetters as deadLettersTotal, eventsProcessed, lastProcessedBlock } from "./metrics.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger("ingester");
+
+// **Indexer**
+// Follows one game's events from the node into that game's database. Each
+// block is committed atomically together with its hash and the checkpoint, so
+// the indexer can be stopped and restarted at any point. Runs are expected
+// inside withLogContext({ game }) (see cli.js), which tags everything logged
+// along the way with the game.
+export class Indexer {
+    constructor({ provider, config, game }) {
+        if (!WRITE_STRATEGIES.includes(config.strategy)) {
+            throw new Error(`Unknown write strategy "${config.strategy}" (expected one of: ${WRITE_STRATEGIES.join(", ")})`);
+        }
+
+        this.provider = provider;
+        this.config = config;
+        this.game = game;
+        this.models = game.models;
+
+        // Where the indexer stands, for metrics, /healthz and the heartbeat
+        this.head = null;
+        this.processed = null;
+        this.progressAt = Date.now();
+        this.heartbeatSavedAt = 0;
+
+        this.reorgGuard = new ReorgGuard({
+            provider,
+            ...this.models,
+            rewindCheckpoint: (blockNumber, session) => this.rewindCheckpoint(blockNumber, session),
+            maxDepth: config.maxReorgDepth
+        });
+
+        this.backfiller = new RangeBackfill({
+            provider,
+            eventFilter: game.eventFilter,
+            applyBlock: (header, rawEvents) => this.storeBlock(header, rawEvents),
+            concurrency: config.backfillConcurrency,
+            rangeSize: config.backfillRangeSize
+        });
+    }
+
+    // **Helper Functions**
+    async getLastProcessedBlock() {
+        const checkpoint = await this.models.Checkpoint.findOne({ key: "lastProcessedBlock" });
+        const blockNumber = checkpoint ? checkpoint.value : this.game.startBlock;
+        this.setPosition({ processed: blockNumber });
+        return blockNumber;
+    }
+
+    async updateCheckpoint(blockNumber, session = null) {
+        await this.models.Checkpoint.updateOne({ key: "lastProcessedBlock" }, { value: blockNumber }, { upsert: true, session });
+    }
+
+    // Moves the checkpoint back to `blockNumber`, never forward
+    async rewindCheckpoint(blockNumber, session = null) {
+        await this.models.Checkpoint.updateOne({ key: "lastProcessedBlock", value: { $gt: blockNumber } }, { value: blockNumber }, { session });
+    }
+
+    async getLatestBlockNumber() {
+        const latestBlock = await this.provider.getBlock("latest");
+        this.setPosition({ head: latestBlock.block_number });
+        return latestBlock.block_number;
+    }
+
+    // **Progress Tracking**
+    setPosition({ head = this.head, processed = this.processed }) {
+        this.head = head;
+        this.processed = processed;
+
+        const labels = { game: this.game.id };
+        if (head !== null) chainHead.set(labels, head);
+        if (processed !== null) lastProcessedBlock.set(labels, processed);
+        if (head !== null && processed !== null) blockLag.set(labels, head - processed);
+    }
+
+    // The indexer moved forward: it committed a block or confirmed it's at the head
+    markProgress() {
+        this.progressAt = Date.now();
+
+        // At most once per poll interval; a failed write is retried on the next progress
+        if (this.progressAt - this.heartbeatSavedAt < this.config.pollIntervalMs) return;
+        this.heartbeatSavedAt = this.progressAt;
+        saveHeartbeat(this.models.Checkpoint, this).catch(error => {
+            this.heartbeatSavedAt = 0;
+            log.warn("Could not save the heartbeat", { error: error.message });
+        });
+    }
+
+    // { head, processed, lag, progress_at, stalled }
+    health() {
+        return describeProgress(this, this.config.stallTimeoutMs);
+    }
+
+    // Rolls back to the common ancestor of a fork; returns it
+    async rollBackFork(fromBlock) {
+        const ancestor = await this.reorgGuard.handleFork(fromBlock);
+        this.setPosition({ processed: ancestor });
+        return ancestor;
+    }
+
+    // **Store a Fetched Block**
+    // Returns the block number once the block is committed, or the common
+    // ancestor if it doesn't build on the stored chain (reorg rolled back).
+    async storeBlock(header, rawEvents) {
+        const blockNumber = header.block_number;
+
+        if (!(await this.reorgGuard.isContinuous(header))) {
+            return await this.rollBackFork(blockNumber - 1);
+        }
+
+        const blockTime = new Date(header.timestamp * 1000);
+        const ingestedAt = new Date();
+        const events = [];
+        const deadLetters = [];
+
+        for (const event of assignEventIndexes(rawEvents)) {
+            const ref = {
+                block: blockNumber,
+                block_hash: header.block_hash,
+                transaction_hash: event.transaction_hash,
+                event_index: event.event_index,
+                ingested_at: ingestedAt,
+            };
+
+            try {
+                const { name, args } = this.game.decoder.decode(event);
+                events.push({ ...ref, name, args, key: event.keys[0], data: event.data, timestamp: blockTime });
+            } catch (error) {
+                if (error.name !== "EventDecodeError") throw error;
+                deadLetters.push({ ...ref, from_address: event.from_address, keys: event.keys, data: event.data, reason: error.message });
+            }
+        }
+
+        // The block's events, its hash and the checkpoint commit together or not at all
+        const labels = { game: this.game.id };
+        const stopTimer = blockWriteDuration.startTimer({ ...labels, strategy: this.config.strategy });
+        await this.game.connection.transaction(async (session) => {
+            if (events.length) await writeBlock(this.models, this.game.scoring, events, blockNumber, session, this.config.strategy);
+            await writeDeadLetters(this.models, deadLetters, session);
+
+            await this.reorgGuard.recordBlock(header, session);
+            await this.updateCheckpoint(blockNumber, session);
+        });
+        stopTimer();
+
+        for (const event of events) eventsProcessed.inc({ ...labels, event: event.name });
+        if (deadLetters.length) deadLettersTotal.inc(labels, deadLetters.length);
+        this.setPosition({ processed: blockNumber });
+        this.markProgress();
+        return blockNumber;
+    }
+
+    // **Fetch and Store Events for a Given Block**
+    // Returns the last block the database is consistent with: `blockNumber` on
+    // success, the common ancestor after a reorg rollback, or null on error.
+    async fetchAndStoreEvents(blockNumber) {
+        let continuationToken = null;
+        let rawEvents = [];
+
+        try {
+            const header = await this.provider.getBlock(blockNumber);
+
+            do {
+                const response = await this.provider.getEvents({
+                    ...this.game.eventFilter,
+                    from_block: { block_hash: header.block_hash },
+                    to_block: { block_hash: header.block_hash },
+                    chunk_size: 1000,
+                    continuation_token: continuationToken,
+                });
+
+                rawEvents.push(...response.events);
+                continuationToken = response.continuation_token || null;
+            } while (continuationToken);
+
+            return await this.storeBlock(header, rawEvents);
+        } catch (error) {
+            log.error("Error fetching events", { block: blockNumber, error });
+            return null;
+        }
+    }
+
+    // **Backfill**
+    // Catches up from the checkpoint to `toBlock` (default: chain head) with
+    // parallel range fetches. Returns the last block applied.
+    async backfill(toBlock = null) {
+        const lastProcessedBlock = await this.getLastProcessedBlock();
+        const targetBlock = toBlock ?? await this.getLatestBlockNumber();
+
+        return this.backfiller.run(lastProcessedBlock + 1, targetBlock);
+    }
+
+    // **Follow New Blocks**
+    async followLive(startBlock) {
+        let lastProcessed = startBlock;
+
+        while (true) {
+            try {
+                const latestBlockNumber = await this.getLatestBlockNumber();
+
+                // Catch reorgs that replace our head without extending the chain
+                if (!(await this.reorgGuard.isCanonical(lastProcessed))) {
+                    lastProcessed = await this.rollBackFork(lastProcessed - 1);
+                }
+
+                if (latestBlockNumber > lastProcessed) {
+                    log.debug("New blocks detected", { from: lastProcessed + 1, to: latestBlockNumber });
+                    for (let block = lastProcessed + 1; block <= latestBlockNumber; block++) {
+                        // A block that failed is retried on the next poll; going on
+                        // would build on a parent that was never stored
+                        const processed = await this.fetchAndStoreEvents(block);
+                        if (processed === null) break;
+
+                        lastProcessed = processed;
+                        if (processed < block) block = processed; // Replay from the common ancestor
+                    }
+                }
+
+                if (lastProcessed >= latestBlockNumber) this.markProgress();
+            } catch (error) {
+                log.error("Error fetching new blocks", { error });
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.config.pollIntervalMs));
+        }
+    }
+
+    // **Live Mode**
+    // Backfill to the head, then follow the chain. Restarts from the checkpoint
+    // whenever the node is unreachable.
+    async live() {
+        while (true) {
+            try {
+                await this.getLatestBlockNumber();
+                log.info("Chain is accessible, starting event processing");
+
+                const caughtUpTo = await this.backfill();
+                await this.followLive(caughtUpTo);
+            } catch (error) {
+                log.error("Chain not accessible, retrying", { error });
+                await new Promise(resolve => setTimeout(resolve, this.config.pollIntervalMs));
+            }
+        }
+    }
+
+    // **Reindex**
+    // Undoes everything from `fromBlock` onwards, one range at a time so each
+    // rollback transaction stays small, then backfills back up to the head.
+    // Nothing past the checkpoint has been indexed yet, so a `fromBlock` beyond
+    // it only catches up from the checkpoint.
+    async reindex(fromBlock) {
+        const lastProcessedBlock = await this.getLastProcessedBlock();
+        const target = fromBlock - 1;
+
+        if (target >= lastProcessedBlock) {
+            log.warn("Nothing to reindex past the checkpoint, catching up from it", { from: fromBlock, processed: lastProcessedBlock });
+            return this.backfill();
+        }
+
+        log.info("Reindexing", { from: fromBlock, processed: lastProcessedBlock });
+        for (let block = lastProcessedBlock - this.config.backfillRangeSize; block > target; block -= this.config.backfillRangeSize) {
+            await this.reorgGuard.rollbackTo(block);
+        }
+        await this.reorgGuard.rollbackTo(target);
+
+        return this.backfill();
+    }
+}
@@ -0,0 +1,40 @@
+import { client } from "../metrics.js";
+
+// **Indexer Metrics**
+// Registered by the indexer process only; see ../metrics.js for /metrics itself.
+export const chainHead = new client.Gauge({
+    name: "indexer_chain_head_block",
+    help: "Latest block number reported by the node",
+    labelNames: ["game"],
+});
+
+export const lastProcessedBlock = new client.Gauge({
+    name: "indexer_last_processed_block",
+    help: "Last block committed to the game's database",
+    labelNames: ["game"],
+});
+
+export const blockLag = new client.Gauge({
+    name: "indexer_lag_blocks",
+    help: "Chain head minus the last processed block",
+    labelNames: ["game"],
+});
+
+export const eventsProcessed = new client.Counter({
+    name: "indexer_events_processed_total",
+    help: "Decoded events committed, by event name",
+    labelNames: ["game", "event"],
+});
+
+export const deadLetters = new client.Counter({
+    name: "indexer_dead_letters_total",
+    help: "Events that failed to decode and were set aside",
+    labelNames: ["game"],
+});
+
+export const blockWriteDuration = new client.Histogram({
+    name: "indexer_block_write_duration_seconds",
+    help: "Time to commit one block: event writes, dead letters, block hash and checkpoint",
+    labelNames: ["game", "strategy"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+});
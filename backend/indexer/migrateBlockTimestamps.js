@@ -0,0 +1,162 @@
+import mongoose from "mongoose";
+import { assignEventIndexes } from "./eventIdentity.js";
+import { getGames } from "./games.js";
+import { config } from "./config.js";
+import { createLogger } from "../logger.js";
+import { NodeProvider, RpcClient } from "../rpc.js";
+
+// **Backfill Block Timestamps**
+// Documents ingested before events carried their block header have the
+// ingestion wall-clock time in `timestamp`. For every such block this moves
+// that value to `ingested_at`, sets `timestamp` to the block's own time and
+// fills in the block hash, transaction hash and event index by matching the
+// stored events against the node's events for the block, in order. Events
+// that decode against the ABI get their `args` stored too, so readers
+// (timelines, filters) find them by bot like any newer event.
+// Runs over every configured game's database.
+// Safe to re-run: only documents without a `block_hash` are touched.
+
+const log = createLogger("ingester");
+const provider = new NodeProvider(new RpcClient(config.rpc));
+
+const MINE_EVENTS = ["TileMined", "DiamondFound", "BombFound"];
+
+async function fetchBlockEvents(game, blockNumber) {
+    let continuationToken = null;
+    const events = [];
+
+    do {
+        const response = await provider.getEvents({
+            ...game.eventFilter,
+            from_block: { block_number: blockNumber },
+            to_block: { block_number: blockNumber },
+            chunk_size: 1000,
+            continuation_token: continuationToken,
+        });
+
+        events.push(...response.events);
+        continuationToken = response.continuation_token || null;
+    } while (continuationToken);
+
+    return assignEventIndexes(events);
+}
+
+// Legacy documents predate ABI decoding; undecodable ones just get their timestamps fixed
+function decodeStored(game, doc) {
+    try {
+        return { ...game.decoder.decode({ keys: [doc.event_hash], data: doc.data }), decoded: true };
+    } catch (error) {
+        return { name: doc.event_name, args: {}, decoded: false };
+    }
+}
+
+function sameData(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+async function migrateBlock(game, blockNumber) {
+    const db = game.connection.db;
+    const transactions = db.collection("transactions");
+    const mines = db.collection("mines");
+
+    const header = await provider.getBlock(blockNumber);
+    const blockTime = new Date(header.timestamp * 1000);
+    const chainEvents = await fetchBlockEvents(game, blockNumber);
+
+    const legacyTransactions = await transactions
+        .find({ block: blockNumber, block_hash: { $exists: false } })
+        .sort({ _id: 1 })
+        .toArray();
+
+    const bulkTransactions = [];
+    const bulkMines = [];
+    let nextChainEvent = 0;
+
+    for (const doc of legacyTransactions) {
+        // Stored events are a subsequence of the block's events, in the same order
+        let match = null;
+        for (let i = nextChainEvent; i < chainEvents.length; i++) {
+            if (chainEvents[i].keys[0] === doc.event_hash && sameData(chainEvents[i].data, doc.data)) {
+                match = chainEvents[i];
+                nextChainEvent = i + 1;
+                break;
+            }
+        }
+
+        const set = { timestamp: blockTime, block_hash: header.block_hash, ingested_at: "$timestamp" };
+        if (match) {
+            set.transaction_hash = match.transaction_hash;
+            set.event_index = match.event_index;
+        } else {
+            log.warn("No on-chain match", { event: doc.event_name, id: String(doc._id), block: blockNumber });
+        }
+
+        const { name, args, decoded } = decodeStored(game, doc);
+        if (decoded && doc.args === undefined) set.args = { $literal: args };
+
+        bulkTransactions.push({ updateOne: { filter: { _id: doc._id }, update: [{ $set: set }] } });
+
+        if (MINE_EVENTS.includes(name)) {
+            const { bot_address, location } = args;
+            bulkMines.push({
+                updateMany: {
+                    filter: { bot_address, location, block_hash: { $exists: false } },
+                    update: [{ $set: {
+                        block: blockNumber,
+                        block_hash: header.block_hash,
+                        transaction_hash: match ? match.transaction_hash : null,
+                        timestamp: blockTime,
+                        ingested_at: "$timestamp",
+                    } }]
+                }
+            });
+        }
+    }
+
+    if (bulkTransactions.length > 0) await transactions.bulkWrite(bulkTransactions, { ordered: true });
+    if (bulkMines.length > 0) await mines.bulkWrite(bulkMines, { ordered: true });
+
+    return legacyTransactions.length;
+}
+
+async function migrateGame(game) {
+    const blocks = (await game.connection.db.collection("transactions").distinct("block", { block_hash: { $exists: false } }))
+        .sort((a, b) => a - b);
+
+    log.info("Backfilling block timestamps", { game: game.id, blocks: blocks.length });
+
+    let migrated = 0;
+    let failed = 0;
+    for (const blockNumber of blocks) {
+        try {
+            migrated += await migrateBlock(game, blockNumber);
+        } catch (error) {
+            failed++;
+            log.error("Error migrating block", { game: game.id, block: blockNumber, error });
+        }
+    }
+
+    log.info("Backfilled block timestamps", { game: game.id, transactions: migrated, blocks: blocks.length - failed, failed });
+    return failed;
+}
+
+// Exits non-zero when any block failed; re-running picks up just those
+async function migrate() {
+    await mongoose.connect(config.dbUri);
+
+    let failed = 0;
+    for (const game of getGames()) {
+        failed += await migrateGame(game);
+    }
+
+    await mongoose.disconnect();
+    if (failed > 0) {
+        log.warn("Some blocks were not migrated, run the migration again", { blocks: failed });
+        process.exitCode = 1;
+    }
+}
+
+migrate().catch(error => {
+    log.error("Block timestamp migration failed", { error });
+    process.exit(1);
+});
@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+import { EVENT_IDENTITY_INDEX } from "./eventIdentity.js";
+
+// **Schemas**
+// Shared by the indexer, which writes them, and the WebSocket server, which reads them.
+// Models are created per connection via getModels(), since each game lives in its own database.
+const checkpointSchema = new mongoose.Schema({
+    key: { type: String, unique: true },
+    value: mongoose.Schema.Types.Mixed,
+});
+
+const blockSchema = new mongoose.Schema({
+    block_number: { type: Number, unique: true },
+    block_hash: String,
+    parent_hash: String,
+});
+
+const botSchema = new mongoose.Schema({
+    bot_address: { type: String, index: true },
+    player: String,
+    status: String,
+    score: Number,
+    streak: { type: Number, default: 0 }, // Consecutive streak-counting events, see scoring.js
+    starting_tile: String,
+    repeat_mines: { type: Number, default: 0 },
+    history: [{
+        _id: false,
+        from: String,
+        to: String,
+        event: String,
+        block: Number,
+        timestamp: Date,
+    }],
+});
+
+const mineSchema = new mongoose.Schema({
+    bot_address: { type: String, index: true },
+    location: String,
+    mine_type: String, // Diamond, Bomb, or Empty
+    transaction_hash: String,
+    block_hash: String,
+    block: { type: Number, index: true },
+    timestamp: Date, // Block timestamp
+    ingested_at: { type: Date, index: true },
+    // States later events overwrote (a tile mined, then found to hold a diamond),
+    // oldest first, so a rollback can restore the one from before the fork
+    previous: [{
+        _id: false,
+        mine_type: String,
+        block: Number,
+        block_hash: String,
+        transaction_hash: String,
+        timestamp: Date,
+        ingested_at: Date,
+    }],
+});
+
+const transactionSchema = new mongoose.Schema({
+    block: { type: Number, index: true },
+    transaction_hash: String,
+    event_index: Number,
+    event_name: String,
+    event_hash: String,
+    data: [String],
+    args: mongoose.Schema.Types.Mixed, // Fields decoded from `data` using the game ABI
+    score_delta: { type: Number, default: 0 },
+    streak: Number, // The bot's streak after this event
+    scored_with: String, // "<name>@<version>" of the scoring rules, if the event was scored
+    block_hash: String,
+    timestamp: Date, // Block timestamp
+    ingested_at: Date,
+});
+transactionSchema.index(...EVENT_IDENTITY_INDEX);
+// Rolling-window leaderboards
+transactionSchema.index({ timestamp: 1 });
+transactionSchema.index({ event_name: 1, timestamp: 1 });
+// Bot timelines (see analytics.js)
+transactionSchema.index({ "args.bot_address": 1, block: 1 });
+
+// Events that couldn't be decoded against the game ABI, kept raw for inspection
+const deadLetterSchema = new mongoose.Schema({
+    block: { type: Number, index: true },
+    block_hash: String,
+    transaction_hash: String,
+    event_index: Number,
+    from_address: String,
+    keys: [String],
+    data: [String],
+    reason: String,
+    ingested_at: Date,
+});
+deadLetterSchema.index(...EVENT_IDENTITY_INDEX);
+
+const SCHEMAS = {
+    Checkpoint: checkpointSchema,
+    Block: blockSchema,
+    Bot: botSchema,
+    Mine: mineSchema,
+    Transaction: transactionSchema,
+    DeadLetter: deadLetterSchema,
+};
+
+const modelsByConnection = new Map();
+
+// Returns { Checkpoint, Block, Bot, Mine, Transaction, DeadLetter } bound to `connection`
+export function getModels(connection = mongoose.connection) {
+    if (!modelsByConnection.has(connection)) {
+        const models = {};
+        for (const [name, schema] of Object.entries(SCHEMAS)) {
+            models[name] = connection.model(name, schema);
+        }
+        modelsByConnection.set(connection, models);
+    }
+    return modelsByConnection.get(connection);
+}
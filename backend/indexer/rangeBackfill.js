@@ -0,0 +1,156 @@
+import { createLogger } from "../logger.js";
+
+const log = createLogger("ingester");
+
+// **Parallel Range Backfill**
+// Splits [from, to] into fixed, aligned block ranges and fetches each range with
+// paginated `starknet_getEvents` calls, keeping up to `concurrency` ranges in
+// flight. Results are applied strictly in block order through `applyBlock`,
+// which commits the main block checkpoint with every block, so an interrupted
+// run resumes from that checkpoint. There is deliberately no progress kept per
+// range: a rollback (reorg or reindex) moves the main checkpoint back, and
+// nothing else may claim blocks past it are applied.
+export class RangeBackfill {
+    constructor({ provider, applyBlock, eventFilter = {}, concurrency = 4, rangeSize = 100 }) {
+        this.provider = provider;
+        this.eventFilter = eventFilter; // e.g. { address } to restrict to one contract
+        this.applyBlock = applyBlock; // (header, rawEvents) => last consistent block number
+        this.concurrency = concurrency;
+        this.rangeSize = rangeSize;
+    }
+
+    // Ranges are aligned to multiples of rangeSize, so runs starting from
+    // different blocks fetch the same ranges
+    planRanges(fromBlock, toBlock) {
+        const ranges = [];
+        for (let start = Math.floor(fromBlock / this.rangeSize) * this.rangeSize; start <= toBlock; start += this.rangeSize) {
+            const from = Math.max(start, fromBlock);
+            const to = Math.min(start + this.rangeSize - 1, toBlock);
+            ranges.push({ from, to });
+        }
+        return ranges;
+    }
+
+    // Every event between two block ids, across all pages
+    async fetchEvents(fromBlock, toBlock) {
+        let continuationToken = null;
+        const events = [];
+
+        do {
+            const response = await this.provider.getEvents({
+                ...this.eventFilter,
+                from_block: fromBlock,
+                to_block: toBlock,
+                chunk_size: 1000,
+                continuation_token: continuationToken,
+            });
+
+            events.push(...response.events);
+            continuationToken = response.continuation_token || null;
+        } while (continuationToken);
+
+        return events;
+    }
+
+    // Fetches every event in the range plus the headers needed to apply it:
+    // blocks with events, and the last block so its hash is recorded. A block
+    // whose header doesn't match its events' hash was reorged between the two
+    // calls; its events are fetched again by the header's hash, so they are
+    // stored under the block they belong to.
+    async fetchRange({ from, to }) {
+        const eventsByBlock = new Map();
+        for (const event of await this.fetchEvents({ block_number: from }, { block_number: to })) {
+            if (!eventsByBlock.has(event.block_number)) eventsByBlock.set(event.block_number, []);
+            eventsByBlock.get(event.block_number).push(event);
+        }
+
+        const blockNumbers = [...new Set([...eventsByBlock.keys(), to])].sort((a, b) => a - b);
+        const blocks = [];
+        for (const blockNumber of blockNumbers) {
+            const header = await this.provider.getBlock(blockNumber);
+            let events = eventsByBlock.get(blockNumber) || [];
+
+            if (events.some(event => event.block_hash !== header.block_hash)) {
+                log.warn("Block changed while backfilling, refetching its events", { block: blockNumber, block_hash: header.block_hash });
+                const byHash = { block_hash: header.block_hash };
+                events = await this.fetchEvents(byHash, byHash);
+            }
+            blocks.push({ header, events });
+        }
+
+        return blocks;
+    }
+
+    // Returns the last block applied. Stops early if `applyBlock` rolls back
+    // (a reorg), leaving the live follower to continue from there.
+    async run(fromBlock, toBlock) {
+        if (fromBlock > toBlock) return fromBlock - 1;
+
+        const ranges = this.planRanges(fromBlock, toBlock);
+        const totalBlocks = ranges.reduce((sum, range) => sum + range.to - range.from + 1, 0);
+        const startedAt = Date.now();
+        let appliedBlocks = 0;
+        let lastApplied = fromBlock - 1;
+
+        log.info("Backfilling", { blocks: totalBlocks, from: fromBlock, to: toBlock, ranges: ranges.length, workers: this.concurrency });
+
+        // Sliding window: keep `concurrency` fetches in flight, apply the oldest
+        // first. Rejections are captured so abandoned fetches can't go unhandled.
+        const inFlight = [];
+        let nextRange = 0;
+
+        while (nextRange < ranges.length || inFlight.length > 0) {
+            while (inFlight.length < this.concurrency && nextRange < ranges.length) {
+                const range = ranges[nextRange++];
+                inFlight.push(this.fetchRange(range).then(
+                    blocks => ({ range, blocks }),
+                    error => ({ range, error })
+                ));
+            }
+
+            const { range, blocks, error } = await inFlight.shift();
+            if (error) throw error;
+
+            for (const { header, events } of blocks) {
+                const processed = await this.applyBlock(header, events);
+                if (processed !== header.block_number) {
+                    log.warn("Backfill stopped by a reorg", { block: header.block_number, continues_from: processed });
+                    return processed;
+                }
+            }
+
+            lastApplied = range.to;
+            appliedBlocks += range.to - range.from + 1;
+            this.logProgress(appliedBlocks, totalBlocks, startedAt, lastApplied);
+        }
+
+        log.info("Backfill complete", { block: lastApplied });
+        return lastApplied;
+    }
+
+    logProgress(appliedBlocks, totalBlocks, startedAt, lastApplied) {
+        const elapsedSeconds = (Date.now() - startedAt) / 1000;
+        const rate = appliedBlocks / Math.max(elapsedSeconds, 0.001);
+        const etaSeconds = Math.round((totalBlocks - appliedBlocks) / rate);
+        const percent = ((appliedBlocks / totalBlocks) * 100).toFixed(1);
+
+        log.info("Backfill progress", {
+            blocks: appliedBlocks,
+            total: totalBlocks,
+            percent: Number(percent),
+            block: lastApplied,
+            blocks_per_second: Number(rate.toFixed(1)),
+            eta: formatDuration(etaSeconds),
+        });
+    }
+}
+
+function formatDuration(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours}h${minutes}m`;
+    if (minutes > 0) return `${minutes}m${seconds}s`;
+    return `${seconds}s`;
+}
@@ -0,0 +1,100 @@
+import { createLogger } from "../logger.js";
+
+const log = createLogger("ingester");
+
+// **Rescore**
+// Recomputes every bot's score and streak by replaying the game's stored
+// Transaction history, in chain order, through a scoring ruleset. Each event's
+// `score_delta`, `streak` and `scored_with` are rewritten too, so rollbacks
+// keep undoing exactly what was applied. With `dryRun` nothing is written and
+// the resulting top bots are printed next to their current scores, for trying
+// out balance changes.
+// Stop the indexer for the game first: blocks ingested mid-rescore would be
+// scored against a half-rewritten history.
+const WRITE_BATCH_SIZE = 1000;
+
+// Whether the indexer handed this event to the scoring rules. Events stored
+// before the rules engine don't say; of those, only first-time TileMined
+// events (the ones that scored) and non-TileMined events count.
+function wasScored(tx) {
+    if (tx.scored_with !== undefined) return Boolean(tx.scored_with);
+    return tx.event_name !== "TileMined" || tx.score_delta !== 0;
+}
+
+// Events stored before decoding against the ABI have no `args`; like the
+// ingestion that wrote them (and chainReorg), take the bot from data[0]
+function botOf(tx) {
+    return tx.args?.bot_address ?? tx.data?.[0] ?? null;
+}
+
+export async function rescore(game, rules, { dryRun = false } = {}) {
+    const { Bot, Transaction } = game.models;
+    log.info("Rescoring", { rules: rules.id, dry_run: dryRun });
+
+    const bots = new Map(); // bot_address -> { score, streak }
+    let updates = [];
+    let events = 0;
+    let rewritten = 0;
+    let skipped = 0; // Events naming no bot at all
+
+    const flush = async () => {
+        if (updates.length > 0) await Transaction.bulkWrite(updates, { ordered: false });
+        rewritten += updates.length;
+        updates = [];
+    };
+
+    const history = Transaction.find({}, { event_name: 1, args: 1, data: 1, timestamp: 1, score_delta: 1, streak: 1, scored_with: 1 })
+        .sort({ block: 1, _id: 1 })
+        .lean()
+        .cursor();
+
+    for await (const tx of history) {
+        const address = botOf(tx);
+        if (!address) {
+            skipped++;
+            continue;
+        }
+
+        if (tx.event_name === "SpawnedBot" && !bots.has(address)) bots.set(address, { score: 0, streak: 0 });
+        const bot = bots.get(address);
+        if (!bot || !wasScored(tx)) continue;
+
+        const { delta, streak } = rules.score({ name: tx.event_name, timestamp: tx.timestamp }, bot);
+        bot.score += delta;
+        bot.streak = streak;
+        events++;
+
+        if (dryRun || (delta === tx.score_delta && streak === tx.streak && tx.scored_with === rules.id)) continue;
+        updates.push({ updateOne: { filter: { _id: tx._id }, update: { $set: { score_delta: delta, streak, scored_with: rules.id } } } });
+        if (updates.length >= WRITE_BATCH_SIZE) await flush();
+    }
+
+    const current = await Bot.find({}, { bot_address: 1, score: 1 }).lean();
+    const unknown = current.filter(bot => !bots.has(bot.bot_address));
+    if (unknown.length > 0) log.warn("Bots without a SpawnedBot event in the history were left as they are", { bots: unknown.length });
+    if (skipped > 0) log.warn("Events naming no bot were not scored", { events: skipped });
+
+    if (dryRun) {
+        const before = new Map(current.map(bot => [bot.bot_address, bot.score ?? 0]));
+        const top = [...bots.entries()].sort(([, a], [, b]) => b.score - a.score).slice(0, 10);
+
+        log.info("Dry run scored", { events, bots: bots.size, rules: rules.id });
+        top.forEach(([address, { score }], i) => {
+            log.info("Top bot", { rank: i + 1, bot: address, score, current: before.get(address) ?? null });
+        });
+        return;
+    }
+
+    await flush();
+    let botUpdates = [];
+    for (const [bot_address, { score, streak }] of bots) {
+        botUpdates.push({ updateOne: { filter: { bot_address }, update: { $set: { score, streak } } } });
+        if (botUpdates.length >= WRITE_BATCH_SIZE) {
+            await Bot.bulkWrite(botUpdates, { ordered: false });
+            botUpdates = [];
+        }
+    }
+    if (botUpdates.length > 0) await Bot.bulkWrite(botUpdates, { ordered: false });
+
+    log.info("Rescored", { bots: bots.size, events, rewritten, skipped });
+}
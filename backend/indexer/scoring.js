@@ -0,0 +1,140 @@
+import { readFileSync } from "fs";
+
+// **Scoring Rules**
+// How events turn into points, loaded from a versioned JSON ruleset (see
+// rules/default.json) rather than hardcoded, so the indexer and the rescore
+// command always agree and balance changes are a config change:
+//
+//   version       bumped whenever the rules change; events record the
+//                 "<name>@<version>" they were scored with in `scored_with`
+//   season        { start, end } ISO times; events outside score nothing and keep the streak as is
+//   events        { <EventName>: { points } } base points per event
+//   multipliers   [{ events, from, to, factor }] scale base points of the listed
+//                 events within a time span (either bound may be omitted)
+//   streak        { counts, resets, every, bonus } consecutive `counts` events
+//                 earn `bonus` on every `every`th one; `resets` events start over
+//   deathPenalty  { events, points, fraction } lose `points` plus `fraction` of
+//                 the remaining score when one of `events` kills the bot
+//
+// Only `version` and `events` are required.
+export class ScoringRulesError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ScoringRulesError";
+    }
+}
+
+function parseTime(value, field) {
+    if (value === undefined || value === null) return null;
+
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) throw new ScoringRulesError(`${field} is not a valid time: "${value}"`);
+    return time;
+}
+
+function requireNumber(value, field, { min = -Infinity, max = Infinity } = {}) {
+    if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+        throw new ScoringRulesError(`${field} must be a number between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function requireNames(value, field) {
+    if (!Array.isArray(value) || !value.every(name => typeof name === "string")) {
+        throw new ScoringRulesError(`${field} must be an array of event names`);
+    }
+    return value;
+}
+
+export class ScoringRules {
+    constructor(ruleset) {
+        const { version, name = "default", season = {}, events, multipliers = [], streak = null, deathPenalty = null } = ruleset;
+
+        if (!Number.isInteger(version) || version < 1) throw new ScoringRulesError("version must be a positive integer");
+        if (typeof events !== "object" || events === null) throw new ScoringRulesError("events must map event names to { points }");
+
+        this.name = name;
+        this.version = version;
+        this.seasonStart = parseTime(season.start, "season.start");
+        this.seasonEnd = parseTime(season.end, "season.end");
+
+        this.points = {};
+        for (const [event, rule] of Object.entries(events)) {
+            this.points[event] = requireNumber(rule?.points, `events.${event}.points`);
+        }
+
+        this.multipliers = multipliers.map((multiplier, i) => ({
+            events: requireNames(multiplier.events, `multipliers[${i}].events`),
+            from: parseTime(multiplier.from, `multipliers[${i}].from`),
+            to: parseTime(multiplier.to, `multipliers[${i}].to`),
+            factor: requireNumber(multiplier.factor, `multipliers[${i}].factor`, { min: 0 }),
+        }));
+
+        this.streak = streak && {
+            counts: requireNames(streak.counts, "streak.counts"),
+            resets: requireNames(streak.resets ?? [], "streak.resets"),
+            every: requireNumber(streak.every, "streak.every", { min: 1 }),
+            bonus: requireNumber(streak.bonus, "streak.bonus"),
+        };
+
+        this.deathPenalty = deathPenalty && {
+            events: requireNames(deathPenalty.events ?? ["BombFound"], "deathPenalty.events"),
+            points: requireNumber(deathPenalty.points ?? 0, "deathPenalty.points", { min: 0 }),
+            fraction: requireNumber(deathPenalty.fraction ?? 0, "deathPenalty.fraction", { min: 0, max: 1 }),
+        };
+    }
+
+    get id() {
+        return `${this.name}@${this.version}`;
+    }
+
+    inSeason(timestamp) {
+        const time = new Date(timestamp);
+        return (!this.seasonStart || time >= this.seasonStart) && (!this.seasonEnd || time < this.seasonEnd);
+    }
+
+    multiplierFor(eventName, timestamp) {
+        const time = new Date(timestamp);
+
+        return this.multipliers
+            .filter(({ events, from, to }) => events.includes(eventName) && (!from || time >= from) && (!to || time < to))
+            .reduce((factor, multiplier) => factor * multiplier.factor, 1);
+    }
+
+    // Scores one event for a bot in state { score, streak }. Returns the score
+    // change and the bot's streak afterwards; the caller applies both.
+    score(event, bot) {
+        const { name, timestamp } = event;
+        let streak = bot.streak ?? 0;
+        if (!this.inSeason(timestamp)) return { delta: 0, streak };
+
+        let delta = 0;
+        if (this.points[name] !== undefined) {
+            delta += Math.round(this.points[name] * this.multiplierFor(name, timestamp));
+        }
+
+        if (this.streak?.resets.includes(name)) streak = 0;
+        if (this.streak?.counts.includes(name)) {
+            streak++;
+            if (streak % this.streak.every === 0) delta += this.streak.bonus;
+        }
+
+        if (this.deathPenalty?.events.includes(name)) {
+            // Never below zero
+            const remaining = Math.max(0, (bot.score ?? 0) + delta);
+            const afterPoints = Math.max(0, remaining - this.deathPenalty.points);
+            delta -= remaining - afterPoints + Math.floor(afterPoints * this.deathPenalty.fraction);
+        }
+
+        return { delta, streak };
+    }
+}
+
+export function loadScoringRules(path) {
+    try {
+        return new ScoringRules(JSON.parse(readFileSync(path, "utf8")));
+    } catch (error) {
+        if (error instanceof ScoringRulesError) error.message = `${path}: ${error.message}`;
+        throw error;
+    }
+}
@@ -0,0 +1,14 @@
+import dotenv from "dotenv";
+import { signToken } from "./streams/access.js";
+dotenv.config();
+
+// Prints a WebSocket token signed with WS_TOKEN_SECRET:
+//   npm run token -- <subject> [ttl in seconds]
+const [subject, ttl] = process.argv.slice(2);
+
+if (!process.env.WS_TOKEN_SECRET || !subject || (ttl !== undefined && !(Number(ttl) > 0))) {
+    console.error("Usage: WS_TOKEN_SECRET=... npm run token -- <subject> [ttl in seconds]");
+    process.exit(1);
+}
+
+console.log(signToken(process.env.WS_TOKEN_SECRET, subject, ttl === undefined ? null : Number(ttl)));
@@ -0,0 +1,167 @@
+import { normalizeAddress } from "./addresses.js";
+import { BOT_STATUS } from "./indexer/botLifecycle.js";
+
+// **Leaderboards**
+//   players   total score per player
+//   bots      score per bot
+//   diamonds  diamonds found per player
+//   survival  how long each bot has stayed alive, in milliseconds
+// Each works over all time or a rolling window ending now. In a window,
+// scores and diamonds only count events from that window, and survival is
+// the part of each bot's lifetime that falls inside it. Survival values are as
+// of the query; entries carry spawned_at (and died_at, once dead) so clients
+// can keep them ticking.
+// Ranks are by value, highest first, with ties broken by id so every entry
+// has a stable rank.
+export const LEADERBOARDS = ["players", "bots", "diamonds", "survival"];
+
+export const WINDOWS = {
+    all: null,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+};
+
+export const MAX_PAGE_SIZE = 100;
+
+// Bad leaderboard arguments; the message is meant for the client
+export class LeaderboardError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "LeaderboardError";
+    }
+}
+
+// Events from the window, or every event for all time
+function windowMatch(since) {
+    return since ? [{ $match: { timestamp: { $gte: since } } }] : [];
+}
+
+// Score changes per bot in the window, with each bot's `player`. Most events
+// (deaths, suspensions, repeat mines) don't name the player, so it comes from
+// the bot.
+function windowedBotScores(Bot, since) {
+    return [
+        ...windowMatch(since),
+        { $match: { score_delta: { $ne: 0 }, "args.bot_address": { $exists: true } } },
+        { $group: { _id: "$args.bot_address", value: { $sum: "$score_delta" } } },
+        { $lookup: {
+            from: Bot.collection.name,
+            localField: "_id",
+            foreignField: "bot_address",
+            pipeline: [{ $project: { _id: 0, player: 1 } }],
+            as: "bot"
+        } },
+        { $set: { player: { $first: "$bot.player" } } },
+        { $unset: "bot" }
+    ];
+}
+
+// Pipelines yielding { _id: entity id, value, ...details } for every ranked entity
+const PIPELINES = {
+    players: ({ Bot, Transaction }, since) => since
+        ? [Transaction, [
+            ...windowedBotScores(Bot, since),
+            { $match: { player: { $ne: null } } },
+            { $group: { _id: "$player", value: { $sum: "$value" } } }
+        ]]
+        : [Bot, [
+            { $match: { player: { $ne: null } } },
+            { $group: { _id: "$player", value: { $sum: "$score" } } }
+        ]],
+
+    bots: ({ Bot, Transaction }, since) => since
+        ? [Transaction, windowedBotScores(Bot, since)]
+        : [Bot, [
+            { $project: { _id: "$bot_address", value: { $ifNull: ["$score", 0] }, player: 1 } }
+        ]],
+
+    diamonds: ({ Transaction }, since) => [Transaction, [
+        { $match: { event_name: "DiamondFound" } },
+        ...windowMatch(since),
+        { $group: { _id: "$args.player", value: { $sum: 1 } } }
+    ]],
+
+    // A bot's lifetime runs from its first history entry to its death, or to now
+    survival: ({ Bot }, since, now) => [Bot, [
+        { $project: {
+            _id: "$bot_address",
+            player: 1,
+            status: 1,
+            spawned_at: { $first: "$history.timestamp" },
+            died_at: { $first: { $map: {
+                input: { $filter: { input: "$history", cond: { $eq: ["$$this.to", BOT_STATUS.DEAD] } } },
+                in: "$$this.timestamp"
+            } } }
+        } },
+        { $match: { spawned_at: { $ne: null } } },
+        { $addFields: { value: { $subtract: [
+            { $ifNull: ["$died_at", now] },
+            since ? { $max: ["$spawned_at", since] } : "$spawned_at"
+        ] } } },
+        { $match: { value: { $gt: 0 } } }
+    ]],
+};
+
+const RANK_ORDER = { $sort: { value: -1, _id: 1 } };
+
+function resolve(models, board, window, now) {
+    if (!LEADERBOARDS.includes(board)) throw new LeaderboardError(`Unknown leaderboard "${board}" (expected one of: ${LEADERBOARDS.join(", ")})`);
+    if (!Object.hasOwn(WINDOWS, window)) throw new LeaderboardError(`Unknown window "${window}" (expected one of: ${Object.keys(WINDOWS).join(", ")})`);
+
+    const since = WINDOWS[window] ? new Date(now.getTime() - WINDOWS[window]) : null;
+    return PIPELINES[board](models, since, now);
+}
+
+// Entity ids are addresses; accept them in any hex or decimal form
+function normalizeId(id) {
+    const address = normalizeAddress(id);
+    if (address === null) throw new LeaderboardError(`Invalid id "${id}"`);
+    return address;
+}
+
+// Returns one page of a leaderboard: { board, window, offset, limit, total, entries }
+// where entries are { rank, id, value, ...details }. Throws a LeaderboardError
+// on bad arguments.
+export async function getLeaderboard(models, { board, window = "all", offset = 0, limit = 10, now = new Date() }) {
+    if (!Number.isInteger(offset) || offset < 0) throw new LeaderboardError("offset must be a non-negative integer");
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) throw new LeaderboardError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+
+    const [Model, pipeline] = resolve(models, board, window, now);
+    const [{ total, entries }] = await Model.aggregate([
+        ...pipeline,
+        { $facet: {
+            total: [{ $count: "count" }],
+            entries: [RANK_ORDER, { $skip: offset }, { $limit: limit }]
+        } },
+        { $project: { total: { $ifNull: [{ $first: "$total.count" }, 0] }, entries: 1 } }
+    ]);
+
+    return {
+        board,
+        window,
+        offset,
+        limit,
+        total,
+        entries: entries.map(({ _id, ...entry }, i) => ({ rank: offset + i + 1, id: _id, ...entry }))
+    };
+}
+
+// Returns { board, window, id, rank, value, ...details } for any entity, or
+// null when it isn't on the leaderboard
+export async function getRank(models, { board, window = "all", id, now = new Date() }) {
+    const [Model, pipeline] = resolve(models, board, window, now);
+    const entityId = normalizeId(id);
+
+    const [entry] = await Model.aggregate([...pipeline, { $match: { _id: entityId } }]);
+    if (!entry) return null;
+
+    // Everyone ranked above it: a higher value, or the same value and a lower id
+    const [{ ahead = 0 } = {}] = await Model.aggregate([
+        ...pipeline,
+        { $match: { $or: [{ value: { $gt: entry.value } }, { value: entry.value, _id: { $lt: entityId } }] } },
+        { $count: "ahead" }
+    ]);
+
+    const { _id, ...details } = entry;
+    return { board, window, id: _id, rank: ahead + 1, ...details };
+}
@@ -0,0 +1,172 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomBytes } from "crypto";
+import dotenv from "dotenv";
+dotenv.config();
+
+// **Logging**
+// Every module logs through a child of one shared logger, one JSON object per
+// line on stdout:
+//   {"time":"...","level":"info","module":"tiles","msg":"...", ...fields}
+// Fields carry the values (block numbers, client ids, errors) so messages stay
+// constant and searchable. Configured through the environment:
+//   LOG_LEVEL    trace | debug | info | warn | error | silent (default info)
+//   LOG_MODULES  per-module levels over LOG_LEVEL, e.g. "tiles=debug,ingester=warn"
+//   LOG_FORMAT   json (default), or pretty for reading in a terminal
+//   LOG_SAMPLE   rates for the sampled hot paths, e.g. "event=0.1,tile_view=1";
+//                a rate of 0.1 keeps every 10th line
+// The modules are ingester, transactions, stats, tiles, ws (connections and
+// access), api, rpc and metrics.
+export const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+function parseLevel(value, source) {
+    if (!Object.hasOwn(LEVELS, value)) throw new Error(`${source} must be one of: ${Object.keys(LEVELS).join(", ")}, got "${value}"`);
+    return LEVELS[value];
+}
+
+// "a=1,b=2" -> Map(name -> parse(value))
+function parsePairs(value, source, parse) {
+    const pairs = new Map();
+    for (const entry of (value ?? "").split(",").map(entry => entry.trim()).filter(Boolean)) {
+        const [name, setting, ...rest] = entry.split("=");
+        if (!name || setting === undefined || rest.length > 0) throw new Error(`${source} must be "name=value" pairs, got "${entry}"`);
+        pairs.set(name.trim(), parse(setting.trim(), `${source} (${name.trim()})`));
+    }
+    return pairs;
+}
+
+function parseRate(value, source) {
+    const rate = Number(value);
+    if (!(rate > 0 && rate <= 1)) throw new Error(`${source} must be a rate in (0, 1], got "${value}"`);
+    return rate;
+}
+
+const settings = {
+    level: parseLevel(process.env.LOG_LEVEL || "info", "LOG_LEVEL"),
+    modules: parsePairs(process.env.LOG_MODULES, "LOG_MODULES", parseLevel),
+    pretty: process.env.LOG_FORMAT === "pretty",
+    sampleRates: parsePairs(process.env.LOG_SAMPLE, "LOG_SAMPLE", parseRate),
+};
+
+// Fields of the work in progress (game, block, ...), picked up by every log
+// line written while it runs, whichever module writes it
+const context = new AsyncLocalStorage();
+
+// Runs `fn` with `fields` added to every line logged on its behalf. Only for
+// work that is done when `fn` is: timers and listeners set up inside it keep
+// the fields too.
+export function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Short random id tying together the lines of one connection or request
+export function correlationId() {
+    return randomBytes(6).toString("hex");
+}
+
+function serializeError(error) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.stack) serialized.stack = error.stack;
+    return serialized;
+}
+
+// JSON.stringify replacer: errors keep their message and stack, bigints become strings
+function replacer(key, value) {
+    if (value instanceof Error) return serializeError(value);
+    if (typeof value === "bigint") return value.toString();
+    return value;
+}
+
+function formatPretty({ time, level, module, msg, ...fields }) {
+    const extra = Object.entries(fields).map(([key, value]) => {
+        if (value instanceof Error) return `\n  ${value.stack ?? value.message}`;
+        return ` ${key}=${typeof value === "string" ? value : JSON.stringify(value, replacer)}`;
+    }).join("");
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${extra}`;
+}
+
+// Lines seen per sample key, shared by every logger so a key is sampled
+// across all connections at once
+const sampleCounters = new Map();
+
+export class Logger {
+    constructor(fields, level, sampleEvery = 1, sampleKey = null) {
+        this.fields = fields;
+        this.level = level;
+        this.sampleEvery = sampleEvery;
+        this.sampleKey = sampleKey;
+    }
+
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields }, this.level, this.sampleEvery, this.sampleKey);
+    }
+
+    // A logger for a hot path that writes one in every 1/rate lines, the rate
+    // coming from LOG_SAMPLE[key] or `defaultRate`. Its lines carry `sampled`,
+    // the N of "1 in N".
+    sampled(key, defaultRate = 1) {
+        const rate = settings.sampleRates.get(key) ?? defaultRate;
+        return new Logger(this.fields, this.level, Math.max(1, Math.round(1 / rate)), key);
+    }
+
+    // For callers that would rather not build fields for a line that won't be written
+    isLevelEnabled(level) {
+        return LEVELS[level] >= this.level;
+    }
+
+    write(level, msg, fields) {
+        if (LEVELS[level] < this.level) return;
+
+        if (this.sampleEvery > 1) {
+            const seen = sampleCounters.get(this.sampleKey) ?? 0;
+            sampleCounters.set(this.sampleKey, seen + 1);
+            if (seen % this.sampleEvery !== 0) return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            ...this.fields,
+            msg,
+            ...context.getStore(),
+            ...fields,
+        };
+        if (this.sampleEvery > 1) entry.sampled = this.sampleEvery;
+
+        process.stdout.write(`${settings.pretty ? formatPretty(entry) : JSON.stringify(entry, replacer)}\n`);
+    }
+
+    trace(msg, fields) { this.write("trace", msg, fields); }
+    debug(msg, fields) { this.write("debug", msg, fields); }
+    info(msg, fields) { this.write("info", msg, fields); }
+    warn(msg, fields) { this.write("warn", msg, fields); }
+    error(msg, fields) { this.write("error", msg, fields); }
+}
+
+// The logger for one module, at its LOG_MODULES level or LOG_LEVEL
+export function createLogger(module) {
+    return new Logger({ module }, settings.modules.get(module) ?? settings.level);
+}
+
+// Express middleware: gives each request an id (the caller's X-Request-Id, if
+// it sent a sane one), echoes it back and hangs a child logger carrying it on
+// `req.log`. Requests are logged at debug once answered; errors are up to the
+// app's error handler.
+export function requestLogging(log) {
+    return (req, res, next) => {
+        const requested = req.get("X-Request-Id");
+        const requestId = requested && /^[\w.:-]{1,64}$/.test(requested) ? requested : correlationId();
+        const startedAt = process.hrtime.bigint();
+
+        res.set("X-Request-Id", requestId);
+        req.log = log.child({ req_id: requestId });
+
+        res.on("finish", () => req.log.debug("Request handled", {
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        }));
+        next();
+    };
+}
@@ -0,0 +1,98 @@
+import express from "express";
+import mongoose from "mongoose";
+import client from "prom-client";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("metrics");
+
+// **Metrics & Health**
+// Both processes (the indexer and the WebSocket server) expose
+//   GET /metrics   Prometheus text format: the process defaults plus what
+//                  indexer/metrics.js or streams/metrics.js register
+//   GET /healthz   { status: "ok" | "unhealthy", ...details }, 200 or 503
+// Everything registers on prom-client's default registry.
+client.collectDefaultMetrics();
+
+export { client };
+
+const rpcDuration = new client.Histogram({
+    name: "starknet_rpc_duration_seconds",
+    help: "Node RPC call latency",
+    labelNames: ["method"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+
+const rpcErrors = new client.Counter({
+    name: "starknet_rpc_errors_total",
+    help: "Node RPC attempts that failed or returned an error",
+    labelNames: ["method"],
+});
+
+// Per node URL, 0 while the RPC client has it out of service (see rpc.js)
+export const rpcEndpointUp = new client.Gauge({
+    name: "starknet_rpc_endpoint_up",
+    help: "Whether the node endpoint is in service",
+    labelNames: ["endpoint"],
+});
+
+export const failovers = new client.Counter({
+    name: "starknet_rpc_failovers_total",
+    help: "Times calls moved to another node endpoint",
+});
+
+// Runs one node call, recording its latency and whether it failed
+export async function timeRpc(method, call) {
+    const stopTimer = rpcDuration.startTimer({ method });
+    try {
+        return await call();
+    } catch (error) {
+        rpcErrors.inc({ method });
+        throw error;
+    } finally {
+        stopTimer();
+    }
+}
+
+export function mongoConnected() {
+    return mongoose.connection.readyState === mongoose.ConnectionStates.connected;
+}
+
+// Routes for /metrics and /healthz. `checkHealth` resolves to
+// { healthy, ...details }; a throwing check counts as unhealthy.
+export function metricsRoutes(checkHealth) {
+    const router = express.Router();
+
+    router.get("/metrics", async (req, res) => {
+        try {
+            res.set("Content-Type", client.register.contentType).send(await client.register.metrics());
+        } catch (error) {
+            log.error("Error collecting metrics", { error });
+            res.status(500).send("Error collecting metrics");
+        }
+    });
+
+    router.get("/healthz", async (req, res) => {
+        let report;
+        try {
+            report = await checkHealth();
+        } catch (error) {
+            report = { healthy: false, error: error.message };
+        }
+
+        const { healthy, ...details } = report;
+        res.status(healthy ? 200 : 503).json({ status: healthy ? "ok" : "unhealthy", ...details });
+    });
+
+    return router;
+}
+
+// For processes without an HTTP server of their own
+export function startMetricsServer(port, checkHealth) {
+    const app = express();
+    app.use(metricsRoutes(checkHealth));
+    const server = app.listen(port, () => log.info("Serving /metrics and /healthz", { port }));
+
+    // E.g. a one-off backfill next to a running indexer; it can do without
+    server.on("error", error => log.warn("Metrics server not started", { error: error.message }));
+    return server;
+}
@@ -0,0 +1,255 @@
+import { failovers, rpcEndpointUp, timeRpc } from "./metrics.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("rpc");
+
+// **RPC Client**
+// Every node call, from the indexer and the transaction stream alike, goes
+// through one client that spreads them over a list of equivalent endpoints:
+//   - each attempt times out after `timeoutMs`
+//   - failed attempts are retried up to `retries` times, after exponential
+//     backoff (from `backoffMs`, capped at `maxBackoffMs`) with full jitter
+//   - an endpoint failing `breakerThreshold` attempts in a row is taken out
+//     (its circuit opens) for `breakerCooldownMs`, then gets one trial call
+//   - calls go to the first endpoint, in configured order, that is in service,
+//     so traffic fails over down the list and back once the first recovers
+// Before an endpoint serves its first call, and again after it was taken out,
+// it must report the same chain id as the others and a head no more than
+// `maxHeadLag` blocks behind the highest block seen from any of them, so
+// failing over never switches chains or jumps back in time.
+// Only transport failures are retried: timeouts, network errors, 429 and 5xx.
+// Errors the node answers with (unknown block, bad filter, ...) go straight
+// back to the caller.
+export class RpcError extends Error {
+    constructor(message, { code = null, retryable = false } = {}) {
+        super(message);
+        this.name = "RpcError";
+        this.code = code; // The JSON-RPC error code, for errors the node answered with
+        this.retryable = retryable;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class Endpoint {
+    constructor(url) {
+        this.url = url;
+        this.failures = 0; // Consecutive failed attempts
+        this.openUntil = 0; // Out of service until then, when its circuit is open
+        this.verified = false; // Chain id and head checked since it was last taken out
+        this.verifying = null; // The check in flight
+    }
+
+    // In service, or due for its trial call
+    get available() {
+        return Date.now() >= this.openUntil;
+    }
+}
+
+export class RpcClient {
+    constructor({
+        urls,
+        timeoutMs = 10000,
+        retries = 3,
+        backoffMs = 250,
+        maxBackoffMs = 10000,
+        breakerThreshold = 5,
+        breakerCooldownMs = 30000,
+        maxHeadLag = 5,
+    }) {
+        if (!urls?.length) throw new Error("At least one RPC URL is required");
+
+        this.endpoints = urls.map(url => new Endpoint(url));
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+        this.backoffMs = backoffMs;
+        this.maxBackoffMs = maxBackoffMs;
+        this.breakerThreshold = breakerThreshold;
+        this.breakerCooldownMs = breakerCooldownMs;
+        this.maxHeadLag = maxHeadLag;
+
+        this.chainId = null; // Learned from the first endpoint verified
+        this.head = null; // Highest block any endpoint reported
+        this.current = null; // Endpoint the last call went to, to log failovers
+        this.nextId = 1;
+
+        for (const { url } of this.endpoints) rpcEndpointUp.set({ endpoint: url }, 1);
+    }
+
+    // Calls `method` and returns its result, retrying and failing over as above
+    async call(method, params = []) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const endpoint = await this.pick();
+                return await this.attempt(endpoint, method, params);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.retries) throw error;
+
+                const delay = this.backoff(attempt);
+                log.warn("RPC call failed, retrying", { method, attempt: attempt + 1, delay_ms: delay, error: error.message });
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Full jitter: anywhere between 0 and the capped exponential step
+    backoff(attempt) {
+        return Math.round(Math.random() * Math.min(this.maxBackoffMs, this.backoffMs * 2 ** attempt));
+    }
+
+    // One attempt against one endpoint, counted towards its circuit
+    async attempt(endpoint, method, params) {
+        try {
+            const result = await this.send(endpoint, method, params);
+            this.succeeded(endpoint);
+            this.observeHead(method, result);
+            return result;
+        } catch (error) {
+            if (error.retryable) this.failed(endpoint, error);
+            throw error;
+        }
+    }
+
+    async send(endpoint, method, params) {
+        return timeRpc(method, async () => {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+            let response;
+            let body;
+            try {
+                response = await fetch(endpoint.url, {
+                    method: "POST",
+                    headers: {
+                        "accept": "application/json",
+                        "content-type": "application/json"
+                    },
+                    body: JSON.stringify({ id: this.nextId++, jsonrpc: "2.0", method, params }),
+                    signal: controller.signal
+                });
+                body = response.ok ? await response.json() : null;
+            } catch (error) {
+                // Node's fetch says "fetch failed" and keeps the reason (ECONNREFUSED, ...) in `cause`
+                const reason = error.name === "AbortError" ? `timed out after ${this.timeoutMs}ms` : error.cause?.message ?? error.message;
+                throw new RpcError(`${method} on ${endpoint.url} ${reason}`, { retryable: true });
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (!response.ok) {
+                const retryable = response.status === 429 || response.status >= 500;
+                throw new RpcError(`${method} on ${endpoint.url} failed with HTTP ${response.status}`, { retryable });
+            }
+            if (body?.error) {
+                throw new RpcError(`${method} failed: ${body.error.message ?? JSON.stringify(body.error)}`, { code: body.error.code ?? null });
+            }
+            if (!body || !("result" in body)) throw new RpcError(`${method} on ${endpoint.url} returned no result`, { retryable: true });
+            return body.result;
+        });
+    }
+
+    succeeded(endpoint) {
+        endpoint.failures = 0;
+        endpoint.openUntil = 0;
+        rpcEndpointUp.set({ endpoint: endpoint.url }, 1);
+    }
+
+    failed(endpoint, error) {
+        endpoint.failures++;
+
+        // Over the threshold, or the trial call of an open circuit failed
+        if (endpoint.failures >= this.breakerThreshold || endpoint.openUntil !== 0) this.takeOut(endpoint, error.message);
+    }
+
+    // Opens the endpoint's circuit for a cooldown; it's verified again before it serves
+    takeOut(endpoint, reason) {
+        endpoint.openUntil = Date.now() + this.breakerCooldownMs;
+        endpoint.verified = false;
+        rpcEndpointUp.set({ endpoint: endpoint.url }, 0);
+        log.warn("RPC endpoint taken out of service", { endpoint: endpoint.url, failures: endpoint.failures, cooldown_ms: this.breakerCooldownMs, reason });
+    }
+
+    // Keeps track of how far the chain has got, from whatever calls tell
+    observeHead(method, result) {
+        const block = method === "starknet_blockNumber" ? result : result?.block_number;
+        if (Number.isInteger(block)) this.head = Math.max(this.head ?? block, block);
+    }
+
+    // The endpoint for the next attempt: the first available one that checks out
+    async pick() {
+        for (const endpoint of this.endpoints) {
+            if (!endpoint.available) continue;
+            if (!endpoint.verified) {
+                // Concurrent calls wait on the same check
+                endpoint.verifying ??= this.verify(endpoint).finally(() => { endpoint.verifying = null; });
+                if (!(await endpoint.verifying)) continue;
+            }
+
+            if (endpoint !== this.current) {
+                if (this.current) {
+                    failovers.inc();
+                    log.warn("Switched RPC endpoint", { from: this.current.url, to: endpoint.url });
+                }
+                this.current = endpoint;
+            }
+            return endpoint;
+        }
+        throw new RpcError("No RPC endpoint available", { retryable: true });
+    }
+
+    // Checks that `endpoint` is on the same chain as the others and keeps up with them
+    async verify(endpoint) {
+        let chainId;
+        let head;
+        try {
+            chainId = await this.attempt(endpoint, "starknet_chainId", []);
+            head = await this.attempt(endpoint, "starknet_blockNumber", []);
+        } catch (error) {
+            // Transport failures already count towards the circuit; a node refusing the checks is out
+            if (!error.retryable) this.takeOut(endpoint, error.message);
+            else if (endpoint.available) log.warn("RPC endpoint check failed", { endpoint: endpoint.url, error: error.message });
+            return false;
+        }
+
+        let mismatch = null;
+        if (this.chainId !== null && chainId !== this.chainId) {
+            mismatch = `is on chain ${chainId}, expected ${this.chainId}`;
+        } else if (this.head !== null && head < this.head - this.maxHeadLag) {
+            mismatch = `is at block ${head}, ${this.head - head} behind`;
+        }
+        if (mismatch) {
+            // A node on another chain or far behind won't be fine on the next call either
+            this.takeOut(endpoint, mismatch);
+            return false;
+        }
+
+        this.chainId ??= chainId;
+        endpoint.verified = true;
+        log.info("RPC endpoint in service", { endpoint: endpoint.url, chain_id: chainId, head });
+        return true;
+    }
+}
+
+// Block ids the way starknet.js takes them: "latest", "pending", a block
+// number, a block hash, or an id object passed through
+function blockId(id) {
+    if (typeof id === "number" || typeof id === "bigint") return { block_number: Number(id) };
+    if (typeof id === "string" && id.startsWith("0x")) return { block_hash: id };
+    return id;
+}
+
+// The slice of starknet.js's RpcProvider the indexer uses, on top of an
+// RpcClient. Results are the node's, as RpcProvider returns them.
+export class NodeProvider {
+    constructor(client) {
+        this.client = client;
+    }
+
+    getBlock(id = "latest") {
+        return this.client.call("starknet_getBlockWithTxHashes", [blockId(id)]);
+    }
+
+    getEvents(filter) {
+        return this.client.call("starknet_getEvents", [filter]);
+    }
+}
@@ -0,0 +1,39 @@
+import { BOT_STATUS, ACTIVE_STATUSES } from "./indexer/botLifecycle.js";
+import { LEADERBOARDS, WINDOWS, getLeaderboard } from "./leaderboards.js";
+
+// **Game Stats**
+// The counters and leaderboards served on the stats socket and at /stats.
+
+// Top 10 of every leaderboard over every window
+async function topLeaderboards(models, now) {
+    const leaderboards = {};
+
+    await Promise.all(LEADERBOARDS.flatMap(board => Object.keys(WINDOWS).map(async window => {
+        const { entries } = await getLeaderboard(models, { board, window, now });
+        leaderboards[board] ??= {};
+        leaderboards[board][window] = entries;
+    })));
+    return leaderboards;
+}
+
+export async function computeStats(models, now = new Date()) {
+    const { Bot, Mine } = models;
+
+    const [players, totalBots, botsAlive, botsSuspended, botsDead, diamondsMined, totalTilesMined, leaderboard, leaderboards] = await Promise.all([
+        Bot.distinct("player"),
+        Bot.countDocuments({}),
+        Bot.countDocuments({ status: { $in: ACTIVE_STATUSES } }),
+        Bot.countDocuments({ status: BOT_STATUS.SUSPENDED }),
+        Bot.countDocuments({ status: BOT_STATUS.DEAD }),
+        Mine.countDocuments({ mine_type: "Diamond" }),
+        Mine.countDocuments({}),
+        Bot.aggregate([
+            { $group: { _id: "$player", total_score: { $sum: "$score" } } },
+            { $sort: { total_score: -1 } },
+            { $limit: 10 }
+        ]),
+        topLeaderboards(models, now)
+    ]);
+
+    return { totalPlayers: players.length, totalBots, botsAlive, botsSuspended, botsDead, diamondsMined, totalTilesMined, leaderboard, leaderboards };
+}
@@ -0,0 +1,186 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import { ERROR_CODES, StreamError, errorReply } from "./errors.js";
+import { correlationId, createLogger } from "../logger.js";
+
+const log = createLogger("ws");
+
+// **Access Control**
+// Who may connect and how much they may do. Credentials are checked once,
+// when a socket opens, and come as `?api_key=` / `?token=` or, for clients
+// that can set headers, `Authorization: Bearer <key or token>`:
+//   API keys       configured as "name:key" pairs; the name identifies the client
+//   signed tokens  "<payload>.<signature>", both base64url, where the payload is
+//                  JSON { sub, exp } and the signature its HMAC-SHA256 under
+//                  the shared secret (see signToken); `sub` identifies the
+//                  client, `exp` (seconds since the epoch) is optional
+// With neither keys nor a secret configured, auth is off and clients are
+// identified by their address instead.
+// Limits are per identity (connections) and per connection (messages, a
+// token bucket refilling `messagesPerSecond` up to `messageBurst`, each at
+// most `maxMessageBytes`). Connections are capped at `maxConnectionsPerKey`
+// per key or token subject; per address only if `maxConnectionsPerAddress`
+// is set, since behind a proxy every client has the proxy's address.
+export class RateLimiter {
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+    }
+
+    // Takes a token. Returns 0 when there was one, otherwise how many
+    // milliseconds until there is.
+    take(now = Date.now()) {
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * this.rate / 1000);
+        this.updatedAt = now;
+
+        if (this.tokens >= 1) {
+            this.tokens--;
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) * 1000 / this.rate);
+    }
+}
+
+function sign(secret, payload) {
+    return createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+// Issues a token for `subject`, valid for `ttlSeconds` (or forever when null)
+export function signToken(secret, subject, ttlSeconds = null) {
+    const claims = { sub: subject };
+    if (ttlSeconds !== null) claims.exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+
+    const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+    return `${payload}.${sign(secret, payload)}`;
+}
+
+// "alice:key1,bob:key2" -> Map(key -> name)
+export function parseApiKeys(value) {
+    const keys = new Map();
+    for (const entry of (value ?? "").split(",").map(entry => entry.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(":");
+        if (separator < 1 || separator === entry.length - 1) throw new Error(`API keys must be "name:key" pairs, got "${entry}"`);
+        keys.set(entry.slice(separator + 1), entry.slice(0, separator));
+    }
+    return keys;
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && timingSafeEqual(left, right);
+}
+
+export class AccessControl {
+    constructor({
+        apiKeys = new Map(),
+        tokenSecret = null,
+        maxConnectionsPerKey = 20,
+        maxConnectionsPerAddress = null,
+        messagesPerSecond = 10,
+        messageBurst = 20,
+        maxMessageBytes = 64 * 1024,
+    } = {}) {
+        this.apiKeys = apiKeys;
+        this.tokenSecret = tokenSecret;
+        this.maxConnectionsPerKey = maxConnectionsPerKey;
+        this.maxConnectionsPerAddress = maxConnectionsPerAddress; // null: unlimited
+        this.messagesPerSecond = messagesPerSecond;
+        this.messageBurst = messageBurst;
+        this.maxMessageBytes = maxMessageBytes; // Larger messages close the socket (1009)
+        this.connections = new Map(); // identity -> open sockets
+    }
+
+    get authRequired() {
+        return this.apiKeys.size > 0 || this.tokenSecret !== null;
+    }
+
+    credentialsOf(req) {
+        const params = new URL(req.url, "http://localhost").searchParams;
+        const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization ?? "")?.[1];
+        return params.get("api_key") ?? params.get("token") ?? bearer ?? null;
+    }
+
+    verifyToken(token) {
+        const [payload, signature, ...rest] = token.split(".");
+        if (!this.tokenSecret || rest.length > 0 || !payload || !signature) return null;
+        if (!safeEqual(signature, sign(this.tokenSecret, payload))) return null;
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+        } catch (error) {
+            return null;
+        }
+        if (typeof claims?.sub !== "string" || claims.sub === "") return null;
+        if (claims.exp !== undefined && !(claims.exp * 1000 > Date.now())) {
+            throw new StreamError(ERROR_CODES.UNAUTHORIZED, "Token expired");
+        }
+        return `token:${claims.sub}`;
+    }
+
+    // Returns the identity limits are counted against. Throws a StreamError
+    // when auth is on and the credentials don't check out.
+    authenticate(req) {
+        if (!this.authRequired) return `address:${req.socket.remoteAddress}`;
+
+        const credentials = this.credentialsOf(req);
+        if (!credentials) throw new StreamError(ERROR_CODES.UNAUTHORIZED, "An api_key or token is required");
+
+        for (const [key, name] of this.apiKeys) {
+            if (safeEqual(credentials, key)) return `key:${name}`;
+        }
+        const identity = this.verifyToken(credentials);
+        if (!identity) throw new StreamError(ERROR_CODES.UNAUTHORIZED, "Invalid api_key or token");
+        return identity;
+    }
+
+    // Admits a newly opened socket: authenticates it and counts it against its
+    // identity's connection limit until it closes. Returns { id, identity,
+    // limiter, log }, where `id` correlates everything logged about the
+    // connection and `log` carries it, or null after sending the error (shaped
+    // by `errorMessage`) and closing the socket.
+    admit(ws, req, errorMessage = reply => ({ type: "error", ...reply })) {
+        const id = correlationId();
+        let identity;
+        try {
+            identity = this.authenticate(req);
+
+            const open = this.connections.get(identity) ?? 0;
+            const limit = this.authRequired ? this.maxConnectionsPerKey : this.maxConnectionsPerAddress;
+            if (limit !== null && open >= limit) {
+                throw new StreamError(ERROR_CODES.TOO_MANY_CONNECTIONS, `At most ${limit} connections per client`);
+            }
+            this.connections.set(identity, open + 1);
+        } catch (error) {
+            if (!(error instanceof StreamError)) throw error;
+
+            log.warn("Refused WebSocket connection", { conn: id, address: req.socket.remoteAddress, code: error.code, reason: error.message });
+            ws.send(JSON.stringify(errorMessage(errorReply(error))));
+            ws.close(error.code === ERROR_CODES.TOO_MANY_CONNECTIONS ? 1013 : 1008, error.message);
+            return null;
+        }
+
+        const connectionLog = log.child({ conn: id, identity });
+
+        // Protocol errors (e.g. an oversized message) close the socket; unhandled, they'd crash the process
+        ws.on("error", error => connectionLog.warn("WebSocket error", { error: error.message }));
+
+        ws.on("close", () => {
+            const open = this.connections.get(identity) - 1;
+            if (open > 0) this.connections.set(identity, open);
+            else this.connections.delete(identity);
+        });
+
+        return { id, identity, limiter: new RateLimiter(this.messagesPerSecond, this.messageBurst), log: connectionLog };
+    }
+
+    // The error to send for a message over the session's rate limit, or null
+    // when the message may be handled
+    throttle(session) {
+        const retryAfter = session.limiter.take();
+        if (retryAfter === 0) return null;
+        return new StreamError(ERROR_CODES.RATE_LIMITED, "Too many messages, slow down", { retry_after_ms: retryAfter });
+    }
+}
@@ -0,0 +1,209 @@
+import { WebSocket } from "ws";
+import { getGame } from "../indexer/games.js";
+import { TILE_FORMATS } from "../tileCodec.js";
+import { timelineTarget } from "../analytics.js";
+import { ChannelClient } from "./clients.js";
+import { ERROR_CODES, StreamError, errorReply } from "./errors.js";
+import { parseCursor } from "./transactions.js";
+
+// **Channels**
+// The multiplexed endpoint: one socket carries any number of subscriptions to
+// the `transactions`, `stats` and `tiles` channels, each to any game. Clients
+// send envelopes
+//   { "channel": "tiles", "op": "subscribe", "id": "t1", "params": { ... } }
+// where `id` is picked by the client and names the subscription for as long as
+// it lives (an integer, or a string of up to 64 bytes). The ops:
+//   subscribe     any channel; params: game, and for
+//                   transactions  since (a stream cursor), filter, confirmed_only
+//                   stats         bot or player, to stream that timeline instead of the stats
+//                   tiles         format ("json" or "binary"), viewports
+//   unsubscribe   any channel
+//   resume        transactions  { since }
+//   filter        transactions  { filter }, null drops it
+//   view          tiles         { viewports }
+//   leaderboard   stats         { board, window, offset, limit }
+//   rank          stats         { board, window, id }
+//   timeline      stats         { bot } or { player }
+//   analytics     stats         { sort, offset, limit }
+// Every request gets exactly one answer,
+//   { "channel", "op": "ack", "id", "request": <op> }, plus `data` for stats queries
+//   { "channel", "op": "error", "id", "request": <op>, "code", "message", ... } (see errors.js)
+// and whatever a subscription streams comes as
+//   { "channel", "op": "data", "id", "data": <message> }
+// where the message is the one the legacy sockets send. Binary tile frames
+// start with the subscription id instead: u8 length, then the id as UTF-8.
+// Nothing is streamed for a subscription before its ack. Errors that belong to
+// no request (a refused connection, a message over the rate limit that isn't
+// an envelope) have a null channel, id and request.
+export const CHANNELS = ["transactions", "stats", "tiles"];
+
+const MAX_ID_BYTES = 64;
+
+function cursorParam(since) {
+    const cursor = parseCursor(since);
+    if (!cursor) throw new StreamError(ERROR_CODES.BAD_REQUEST, `Invalid cursor "${since}", expected <block>:<position>`);
+    return cursor;
+}
+
+// Per channel, what each op does to a subscription { client, game, managers, ...state }.
+// Every channel has subscribe and unsubscribe; ops may return fields for the ack.
+const CHANNEL_OPS = {
+    transactions: {
+        subscribe({ client, managers }, { since = null, filter = null, confirmed_only: confirmedOnly = false }) {
+            if (typeof confirmedOnly !== "boolean") throw new StreamError(ERROR_CODES.BAD_REQUEST, "confirmed_only must be a boolean");
+            managers.transactions.startStreaming(client, client.label, {
+                since: since === null ? null : cursorParam(since),
+                filter,
+                confirmedOnly,
+            });
+        },
+        unsubscribe({ client, managers }) {
+            managers.transactions.removeClient(client);
+        },
+        resume({ client, managers }, { since }) {
+            managers.transactions.resume(client, cursorParam(since));
+        },
+        filter({ client, managers }, { filter = null }) {
+            managers.transactions.subscribe(client, filter);
+        },
+    },
+
+    stats: {
+        subscribe({ client, managers }, { bot, player }) {
+            if (bot === undefined && player === undefined) managers.stats.addClient(client);
+            else managers.stats.watchTimeline(client, timelineTarget({ bot, player }));
+        },
+        unsubscribe({ client, managers }) {
+            managers.stats.removeClient(client);
+        },
+        async leaderboard({ managers }, params) {
+            return { data: await managers.stats.query({ ...params, type: "leaderboard" }) };
+        },
+        async rank({ managers }, params) {
+            return { data: await managers.stats.query({ ...params, type: "rank" }) };
+        },
+        async timeline({ managers }, params) {
+            return { data: await managers.stats.query({ ...params, type: "timeline" }) };
+        },
+        async analytics({ managers }, params) {
+            return { data: await managers.stats.query({ ...params, type: "analytics" }) };
+        },
+    },
+
+    tiles: {
+        subscribe(subscription, { format = "json", viewports }) {
+            if (!TILE_FORMATS.includes(format)) {
+                throw new StreamError(ERROR_CODES.BAD_REQUEST, `Unknown format "${format}", expected one of: ${TILE_FORMATS.join(", ")}`);
+            }
+            subscription.format = format;
+            if (viewports !== undefined) subscription.managers.tiles.setClientView(subscription.client, viewports, format);
+        },
+        unsubscribe({ client, managers }) {
+            managers.tiles.removeClient(client);
+        },
+        view({ client, managers, format }, { viewports }) {
+            managers.tiles.setClientView(client, viewports, format);
+        },
+    },
+};
+
+function validateEnvelope({ channel, op, id, params = {} }) {
+    if (!CHANNELS.includes(channel)) throw new StreamError(ERROR_CODES.BAD_REQUEST, `Unknown channel "${channel}", expected one of: ${CHANNELS.join(", ")}`);
+    if (!Number.isInteger(id) && !(typeof id === "string" && id.length > 0 && Buffer.byteLength(id) <= MAX_ID_BYTES)) {
+        throw new StreamError(ERROR_CODES.BAD_REQUEST, `id must be an integer or a string of 1 to ${MAX_ID_BYTES} bytes`);
+    }
+    if (typeof op !== "string" || !Object.hasOwn(CHANNEL_OPS[channel], op)) {
+        throw new StreamError(ERROR_CODES.BAD_REQUEST, `Unknown op "${op}" on channel "${channel}"`);
+    }
+    if (typeof params !== "object" || params === null || Array.isArray(params)) throw new StreamError(ERROR_CODES.BAD_REQUEST, "params must be an object");
+    return { channel, op, id, params };
+}
+
+// Shapes an error reply for an envelope, or for no request at all
+export function channelError(envelope, reply) {
+    return { channel: envelope?.channel ?? null, op: "error", id: envelope?.id ?? null, request: envelope?.op ?? null, ...reply };
+}
+
+// Serves one multiplexed socket for an admitted `session` (see access.js).
+// `managers` maps game ids to their { transactions, tiles, stats } managers.
+export function serveChannels(ws, session, managers, access) {
+    const subscriptions = new Map(); // String(id) -> { channel, client, game, managers, ...state }
+    session.log.info("WebSocket connected");
+
+    const fail = (envelope, error) => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify(channelError(envelope, errorReply(error))));
+    };
+
+    const subscribe = (channel, id, params) => {
+        const key = String(id);
+        if (subscriptions.has(key)) throw new StreamError(ERROR_CODES.BAD_REQUEST, `id "${id}" is already subscribed to ${subscriptions.get(key).channel}`);
+
+        const game = getGame(params.game ?? null);
+        if (!game) throw new StreamError(ERROR_CODES.NOT_FOUND, `Unknown game "${params.game}"`);
+
+        const client = new ChannelClient(ws, channel, id, `${session.id}/${id}`, { conn: session.id, sub: id });
+        const subscription = { channel, client, game, managers: managers.get(game.id) };
+        CHANNEL_OPS[channel].subscribe(subscription, params);
+        subscriptions.set(key, subscription);
+
+        session.log.info("Subscribed", { channel, sub: id, game: game.id });
+        return subscription;
+    };
+
+    const unsubscribe = (subscription) => {
+        subscriptions.delete(String(subscription.client.id));
+        subscription.client.closed = true;
+        CHANNEL_OPS[subscription.channel].unsubscribe(subscription);
+    };
+
+    ws.on("message", async (message) => {
+        let envelope;
+        try {
+            envelope = JSON.parse(message);
+        } catch (error) {
+            envelope = null;
+        }
+
+        const throttled = access.throttle(session);
+        if (throttled) {
+            fail(envelope, throttled);
+            return;
+        }
+        if (envelope === null) {
+            fail(null, new StreamError(ERROR_CODES.BAD_REQUEST, "Messages must be JSON envelopes"));
+            return;
+        }
+
+        try {
+            const { channel, op, id, params } = validateEnvelope(envelope);
+
+            if (op === "subscribe") {
+                const { client } = subscribe(channel, id, params);
+                client.reply("ack", { request: op });
+                client.release(); // Whatever the subscription produced while it was being set up
+                return;
+            }
+
+            const subscription = subscriptions.get(String(id));
+            if (!subscription || subscription.channel !== channel) throw new StreamError(ERROR_CODES.BAD_REQUEST, `id "${id}" is not subscribed to ${channel}`);
+
+            if (op === "unsubscribe") {
+                unsubscribe(subscription);
+                session.log.info("Unsubscribed", { channel, sub: id });
+                subscription.client.reply("ack", { request: op });
+                return;
+            }
+
+            const result = await CHANNEL_OPS[channel][op](subscription, params);
+            subscription.client.reply("ack", { request: op, ...result });
+        } catch (error) {
+            fail(envelope, error);
+        }
+    });
+
+    ws.on("close", () => {
+        session.log.info("WebSocket disconnected", { subscriptions: subscriptions.size });
+        for (const subscription of subscriptions.values()) unsubscribe(subscription);
+    });
+}
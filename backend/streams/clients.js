@@ -0,0 +1,88 @@
+import { WebSocket } from "ws";
+
+// **Stream Clients**
+// The managers never touch sockets; they send to clients. A client has `open`,
+// `bufferedAmount` and `send(message)`, where a message is an object (sent as
+// JSON), an already serialized JSON string, or a binary frame, and
+// `logFields`: the connection (and subscription) ids managers put on the lines
+// they log about it.
+//   SocketClient   a whole single-purpose socket on one of the legacy ports,
+//                  messages go out as they are
+//   ChannelClient  one subscription on the multiplexed socket, messages go out
+//                  wrapped in its envelope (see channels.js)
+
+export class SocketClient {
+    constructor(ws, logFields = {}) {
+        this.ws = ws;
+        this.logFields = logFields;
+    }
+
+    get open() {
+        return this.ws.readyState === WebSocket.OPEN;
+    }
+
+    get bufferedAmount() {
+        return this.ws.bufferedAmount;
+    }
+
+    send(message) {
+        if (!this.open) return;
+        this.ws.send(typeof message === "string" || Buffer.isBuffer(message) ? message : JSON.stringify(message));
+    }
+}
+
+export class ChannelClient {
+    constructor(ws, channel, id, label, logFields = {}) {
+        this.ws = ws;
+        this.channel = channel;
+        this.id = id;
+        this.label = label; // Names the subscription in metrics
+        this.logFields = logFields;
+        this.closed = false; // Unsubscribed; the socket itself may still be open
+        this.held = []; // Messages produced before the subscribe ack went out, until release()
+
+        // Serialized once: stats snapshots are shared strings and get wrapped as they are
+        this.dataPrefix = `{"channel":${JSON.stringify(channel)},"op":"data","id":${JSON.stringify(id)},"data":`;
+
+        // Binary frames can't carry the envelope, so they start with the subscription id:
+        // u8 length, then the id as UTF-8
+        const tag = Buffer.from(String(id));
+        this.binaryPrefix = Buffer.concat([Buffer.from([tag.length]), tag]);
+    }
+
+    get open() {
+        return !this.closed && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    get bufferedAmount() {
+        return this.ws.bufferedAmount;
+    }
+
+    send(message) {
+        if (!this.open) return;
+
+        if (this.held) {
+            this.held.push(message);
+        } else if (Buffer.isBuffer(message)) {
+            this.ws.send(Buffer.concat([this.binaryPrefix, message]));
+        } else if (typeof message === "object" && message.type === "error") {
+            // Errors the managers raise on their own (a failed replay, ...) are channel errors
+            const { type, ...error } = message;
+            this.reply("error", { request: null, ...error });
+        } else {
+            this.ws.send(`${this.dataPrefix}${typeof message === "string" ? message : JSON.stringify(message)}}`);
+        }
+    }
+
+    release() {
+        const held = this.held ?? [];
+        this.held = null;
+        for (const message of held) this.send(message);
+    }
+
+    // Acks and errors still go out once unsubscribed, e.g. the unsubscribe ack itself
+    reply(op, fields = {}) {
+        if (this.ws.readyState !== WebSocket.OPEN) return;
+        this.ws.send(JSON.stringify({ channel: this.channel, op, id: this.id, ...fields }));
+    }
+}
@@ -0,0 +1,38 @@
+// **Stream Errors**
+// Every error a socket sends has a machine-readable `code` next to the
+// human-readable `message`, plus code-specific details:
+//   bad_request           malformed message, params, filter or viewport
+//   not_found             unknown game
+//   unauthorized          missing, unknown or expired credentials
+//   too_many_connections  the key is at its connection limit
+//   rate_limited          too many messages; `retry_after_ms`
+//   range_too_large       too many viewports or tiles; `max_viewports`, `max_viewport_tiles`
+//   unavailable           the server failed at something the client may retry
+// Legacy sockets send { type: "error", code, message, ... }, the multiplexed
+// one { channel, op: "error", id, request, code, message, ... }.
+export const ERROR_CODES = {
+    BAD_REQUEST: "bad_request",
+    NOT_FOUND: "not_found",
+    UNAUTHORIZED: "unauthorized",
+    TOO_MANY_CONNECTIONS: "too_many_connections",
+    RATE_LIMITED: "rate_limited",
+    RANGE_TOO_LARGE: "range_too_large",
+    UNAVAILABLE: "unavailable",
+};
+
+export class StreamError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = "StreamError";
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// The wire form of any error thrown while serving a request. Plain errors come
+// from validation in the managers (filters, viewports, leaderboards, timelines), so their
+// messages are meant for the client as well.
+export function errorReply(error) {
+    if (error instanceof StreamError) return { code: error.code, message: error.message, ...error.details };
+    return { code: ERROR_CODES.BAD_REQUEST, message: error.message };
+}
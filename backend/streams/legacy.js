@@ -0,0 +1,235 @@
+import { WebSocketServer } from "ws";
+import { getGame } from "../indexer/games.js";
+import { TILE_FORMATS } from "../tileCodec.js";
+import { SocketClient } from "./clients.js";
+import { ERROR_CODES, StreamError, errorReply } from "./errors.js";
+import { parseCursor } from "./transactions.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger("ws");
+const viewLog = log.sampled("tile_view", 0.01); // Once per message from every scrolling viewer
+
+// **Legacy Ports**
+// The original one-socket-per-stream servers, kept for clients that haven't
+// moved to the multiplexed endpoint yet. Each port serves one stream of one
+// game (?game=<id>) and speaks the bare messages, without envelopes. Access
+// control and limits are the same as on the multiplexed endpoint.
+
+function sendError(client, error) {
+    client.send({ type: "error", ...errorReply(error) });
+}
+
+// Counts a message against the session's rate limit; false when it should be dropped
+function allow(access, session, client) {
+    const throttled = access.throttle(session);
+    if (throttled) sendError(client, throttled);
+    return !throttled;
+}
+
+// Clients pick a game with ?game=<id>; without it they get the first configured game
+function resolveGame(ws, req) {
+    const gameId = new URL(req.url, "http://localhost").searchParams.get("game");
+    const game = getGame(gameId);
+
+    if (!game) {
+        ws.send(JSON.stringify({ type: "error", code: ERROR_CODES.NOT_FOUND, message: `Unknown game "${gameId}"` }));
+        ws.close(1008, "Unknown game");
+    }
+    return game;
+}
+
+function serveTransactions(port, managers, access) {
+    const transactionWSS = new WebSocketServer({ port, maxPayload: access.maxMessageBytes });
+    log.info("Transaction WebSocket listening", { port });
+
+    transactionWSS.on("connection", (ws, req) => {
+        const session = access.admit(ws, req);
+        if (!session) return;
+        const game = resolveGame(ws, req);
+        if (!game) return;
+
+        const transactionManager = managers.get(game.id).transactions;
+        const client = new SocketClient(ws, { conn: session.id });
+        session.log.info("Transaction WebSocket connected", { game: game.id });
+
+        // Reconnecting clients pass the cursor of the last event they saw, and
+        // ?confirmed_only=true leaves out pending events
+        const params = new URL(req.url, "http://localhost").searchParams;
+        const since = params.get("since");
+        if (since !== null && !parseCursor(since)) {
+            sendError(client, new StreamError(ERROR_CODES.BAD_REQUEST, `Invalid cursor "${since}", expected <block>:<position>`));
+            ws.close(1008, "Invalid cursor");
+            return;
+        }
+
+        // Start streaming for this client
+        transactionManager.startStreaming(client, session.id, { since: parseCursor(since), confirmedOnly: params.get("confirmed_only") === "true" });
+
+        // Clients can resume without reconnecting: { "type": "resume", "since": "<block>:<position>" },
+        // and set or drop their filters: { "type": "subscribe", "filter": {...} } / { "type": "unsubscribe" }
+        ws.on("message", (message) => {
+            if (!allow(access, session, client)) return;
+
+            try {
+                const { type, since, filter } = JSON.parse(message);
+
+                switch (type) {
+                    case "resume": {
+                        const cursor = parseCursor(since);
+                        if (!cursor) {
+                            sendError(client, new StreamError(ERROR_CODES.BAD_REQUEST, `Invalid cursor "${since}", expected <block>:<position>`));
+                            return;
+                        }
+                        transactionManager.resume(client, cursor);
+                        break;
+                    }
+
+                    case "subscribe":
+                    case "unsubscribe": {
+                        const next = type === "subscribe" ? filter ?? null : null;
+                        try {
+                            transactionManager.subscribe(client, next);
+                        } catch (error) {
+                            sendError(client, error);
+                            return;
+                        }
+                        client.send({ type: "subscribed", filter: next });
+                        break;
+                    }
+
+                    default:
+                        sendError(client, new StreamError(ERROR_CODES.BAD_REQUEST, `Unknown message type "${type}"`));
+                }
+            } catch (error) {
+                session.log.warn("Error processing message", { error, message: message.toString().slice(0, 200) });
+            }
+        });
+
+        ws.on("close", () => {
+            session.log.info("Transaction WebSocket disconnected");
+            transactionManager.removeClient(client);
+        });
+    });
+
+    return transactionWSS;
+}
+
+function serveStats(port, managers, access) {
+    const statsWSS = new WebSocketServer({ port, maxPayload: access.maxMessageBytes });
+    log.info("Stats & Leaderboard WebSocket listening", { port });
+
+    statsWSS.on("connection", (ws, req) => {
+        const session = access.admit(ws, req);
+        if (!session) return;
+        const game = resolveGame(ws, req);
+        if (!game) return;
+
+        const statsManager = managers.get(game.id).stats;
+        const client = new SocketClient(ws, { conn: session.id });
+        session.log.info("Stats WebSocket connected", { game: game.id });
+
+        statsManager.addClient(client);
+
+        // Pages and lookups beyond the broadcast top 10, timelines and analytics
+        ws.on("message", async (message) => {
+            if (!allow(access, session, client)) return;
+
+            let request;
+            try {
+                request = JSON.parse(message);
+            } catch (error) {
+                session.log.warn("Error processing message", { error, message: message.toString().slice(0, 200) });
+                return;
+            }
+
+            try {
+                client.send(await statsManager.query(request));
+            } catch (error) {
+                sendError(client, error);
+            }
+        });
+
+        ws.on("close", () => {
+            session.log.info("Stats WebSocket disconnected");
+            statsManager.removeClient(client);
+        });
+    });
+
+    return statsWSS;
+}
+
+// The original viewTiles message named a location range, "(<from>)-(<to>)" in
+// decimal, rather than viewports; its `layer` was never used, since locations
+// span layers
+function legacyViewports(board, tileRange) {
+    const bounds = typeof tileRange === "string" ? tileRange.split("-").map(bound => bound.replace(/[()\s]/g, "")) : [];
+    if (bounds.length !== 2 || !bounds.every(bound => /^\d+$/.test(bound))) {
+        throw new StreamError(ERROR_CODES.BAD_REQUEST, `Invalid tileRange "${tileRange}", expected "(<from>)-(<to>)"`);
+    }
+    try {
+        return board.rangeViewports(...bounds);
+    } catch (error) {
+        throw new StreamError(ERROR_CODES.BAD_REQUEST, error.message);
+    }
+}
+
+function serveTiles(port, managers, access) {
+    const tilesWSS = new WebSocketServer({ port, maxPayload: access.maxMessageBytes });
+    log.info("Tile Data WebSocket listening", { port });
+
+    tilesWSS.on("connection", (ws, req) => {
+        const session = access.admit(ws, req);
+        if (!session) return;
+        const game = resolveGame(ws, req);
+        if (!game) return;
+
+        // Clients opt into the compact binary protocol with ?format=binary
+        const format = new URL(req.url, "http://localhost").searchParams.get("format") ?? "json";
+        if (!TILE_FORMATS.includes(format)) {
+            ws.send(JSON.stringify({ type: "error", code: ERROR_CODES.BAD_REQUEST, message: `Unknown format "${format}", expected one of: ${TILE_FORMATS.join(", ")}` }));
+            ws.close(1008, "Unknown format");
+            return;
+        }
+
+        const tileManager = managers.get(game.id).tiles;
+        const client = new SocketClient(ws, { conn: session.id });
+        session.log.info("Tile Data WebSocket connected", { game: game.id, format });
+
+        // Handle messages from client to update view
+        ws.on("message", (message) => {
+            if (!allow(access, session, client)) return;
+
+            try {
+                // { "action": "viewTiles", "viewports": [{ "layer": 0, "x": 0, "y": 0, "width": 20, "height": 20 }, ...] },
+                // or from older clients { "action": "viewTiles", "layer": 0, "tileRange": "(<from>)-(<to>)" }
+                const { action, viewports, tileRange } = JSON.parse(message);
+
+                if (action !== "viewTiles" || (viewports === undefined && tileRange === undefined)) {
+                    throw new StreamError(ERROR_CODES.BAD_REQUEST, 'Expected { "action": "viewTiles", "viewports": [...] }');
+                }
+                const requested = viewports ?? legacyViewports(tileManager.board, tileRange);
+                viewLog.debug("Viewing tiles", { conn: session.id, viewports: requested.length ?? 0 });
+                tileManager.setClientView(client, requested, format);
+            } catch (error) {
+                sendError(client, error);
+            }
+        });
+
+        ws.on("close", (code, reason) => {
+            session.log.info("Tile Data WebSocket disconnected", { code, reason: reason.toString() });
+            tileManager.removeClient(client);
+        });
+    });
+
+    return tilesWSS;
+}
+
+// Starts all three servers; `managers` maps game ids to their managers.
+// Returns the servers by stream.
+export function serveLegacyPorts(managers, access, { transactionPort, statsPort, tilesPort }) {
+    return {
+        transactions: serveTransactions(transactionPort, managers, access),
+        stats: serveStats(statsPort, managers, access),
+        tiles: serveTiles(tilesPort, managers, access),
+    };
+}
@@ -0,0 +1,67 @@
+import { client } from "../metrics.js";
+
+// **Stream Metrics**
+// Sampled from the socket servers and managers on every scrape, so nothing
+// has to be counted along the way. `managers` maps game ids to their
+// { transactions, tiles, stats } managers, `servers` endpoint names to
+// WebSocketServers.
+export function registerStreamMetrics(managers, servers) {
+    new client.Gauge({
+        name: "ws_connected_clients",
+        help: "Open sockets per endpoint",
+        labelNames: ["endpoint"],
+        collect() {
+            this.reset();
+            for (const [endpoint, wss] of servers) this.set({ endpoint }, wss.clients.size);
+        },
+    });
+
+    new client.Gauge({
+        name: "ws_subscribers",
+        help: "Clients following each game's streams, by channel",
+        labelNames: ["game", "channel"],
+        collect() {
+            this.reset();
+            for (const [game, { transactions, tiles, stats }] of managers) {
+                this.set({ game, channel: "transactions" }, transactions.connectedClients.size);
+                this.set({ game, channel: "tiles" }, tiles.activeViewers.size);
+                this.set({ game, channel: "stats" }, stats.subscribers);
+            }
+        },
+    });
+
+    new client.Gauge({
+        name: "ws_transaction_buffer_events",
+        help: "Events held in the transaction ring buffer",
+        labelNames: ["game"],
+        collect() {
+            for (const [game, { transactions }] of managers) {
+                this.set({ game }, transactions.events.nextSeq - transactions.events.oldestSeq);
+            }
+        },
+    });
+
+    // Per game rather than per client: connection ids would make a new series
+    // for every connection. Which client is behind is in the logs.
+    new client.Gauge({
+        name: "ws_client_backlog_events_max",
+        help: "Buffered transaction events the furthest behind client has yet to be sent",
+        labelNames: ["game"],
+        collect() {
+            for (const [game, { transactions }] of managers) {
+                this.set({ game }, Math.max(0, ...transactions.backlogs().map(({ backlog }) => backlog)));
+            }
+        },
+    });
+
+    new client.Gauge({
+        name: "ws_client_backlog_events_sum",
+        help: "Buffered transaction events all clients together have yet to be sent",
+        labelNames: ["game"],
+        collect() {
+            for (const [game, { transactions }] of managers) {
+                this.set({ game }, transactions.backlogs().reduce((sum, { backlog }) => sum + backlog, 0));
+            }
+        },
+    });
+}
@@ -0,0 +1,214 @@
+import { getLeaderboard, getRank } from "../leaderboards.js";
+import { getAnalytics, getBotTimeline, getPlayerTimeline, timelineTarget } from "../analytics.js";
+import { computeStats } from "../stats.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger("stats");
+
+// The part of a snapshot whose changes are worth a broadcast. Survival values
+// move with the clock for every live bot (and every window), so only the
+// survival ranking counts; clients tick durations up from spawned_at/died_at.
+function changeKey(data) {
+    const { survival, ...boards } = data.leaderboards;
+    const survivalRanking = Object.fromEntries(Object.entries(survival ?? {}).map(
+        ([window, entries]) => [window, entries.map(({ value, ...entry }) => entry)]
+    ));
+    return JSON.stringify({ ...data, leaderboards: { ...boards, survival: survivalRanking } });
+}
+
+// Likewise for timelines: time alive, and the rates over it, grow with the clock
+// while a bot lives; anything else that changes them changes other fields too
+const CLOCK_FIELDS = ["time_alive_ms", "mining_rate"];
+
+function timelineChangeKey(message) {
+    return JSON.stringify(message, (key, value) => CLOCK_FIELDS.includes(key) ? undefined : value);
+}
+
+// StatsManager: computes a game's stats and leaderboards once per tick, no
+// matter how many clients are watching, and broadcasts them only when they
+// changed. New clients get the latest snapshot straight away.
+// Clients can watch one bot's or player's timeline instead, shared and
+// refreshed on the same tick, as { type: "timeline", bot | player, data }
+// with null data while it's unknown.
+export class StatsManager {
+    constructor(game, intervalMs = 2000) {
+        this.game = game;
+        this.intervalMs = intervalMs;
+        this.clients = new Set();
+        this.interval = null;
+        this.latest = null; // Serialized last snapshot, for new clients
+        this.latestData = null; // changeKey() of the last snapshot, before rank movement was added
+        this.ranks = new Map(); // "board:window" -> (id -> rank) as last broadcast
+        this.computing = null; // In-flight refresh, shared by everyone waiting on it
+        this.timelines = new Map(); // "kind:id" -> { target, clients, latest, latestKey, computing }, like the above per timeline
+        this.log = log.child({ game: game.id });
+    }
+
+    // Adds `movement` (places gained since the last broadcast; null if it wasn't
+    // ranked then) to entries, optionally recording these ranks for next time
+    withMovement(board, window, entries, record = false) {
+        const key = `${board}:${window}`;
+        const previous = this.ranks.get(key);
+        if (record) this.ranks.set(key, new Map(entries.map(entry => [entry.id, entry.rank])));
+
+        return entries.map(entry => {
+            const before = previous?.get(entry.id);
+            return { ...entry, movement: before === undefined ? null : before - entry.rank };
+        });
+    }
+
+    // Recomputes the snapshot; returns true when it differs from the last one
+    refresh() {
+        this.computing ??= computeStats(this.game.models)
+            .then(data => {
+                // Rank movement is relative to the last broadcast, so only compare the rest
+                const key = changeKey(data);
+                if (key === this.latestData) return false;
+                this.latestData = key;
+
+                for (const [board, windows] of Object.entries(data.leaderboards)) {
+                    for (const [window, entries] of Object.entries(windows)) {
+                        windows[window] = this.withMovement(board, window, entries, true);
+                    }
+                }
+                this.latest = JSON.stringify({ type: "stats", data });
+                return true;
+            })
+            .finally(() => { this.computing = null; });
+
+        return this.computing;
+    }
+
+    async tick() {
+        await Promise.all([
+            this.clients.size > 0 ? this.broadcastStats() : null,
+            ...[...this.timelines.values()].map(timeline => this.broadcastTimeline(timeline)),
+        ]);
+    }
+
+    async broadcastStats() {
+        try {
+            if (!(await this.refresh())) return;
+
+            for (const client of this.clients) client.send(this.latest);
+        } catch (error) {
+            this.log.error("Error fetching stats", { error });
+        }
+    }
+
+    // Clients watching anything at all
+    get subscribers() {
+        let count = this.clients.size;
+        for (const timeline of this.timelines.values()) count += timeline.clients.size;
+        return count;
+    }
+
+    startTicking() {
+        if (!this.interval) {
+            this.interval = setInterval(() => this.tick(), this.intervalMs);
+        }
+    }
+
+    async addClient(client) {
+        try {
+            // An idle manager has no snapshot yet, or a stale one; catch up first
+            if (!this.latest || this.clients.size === 0) await this.refresh();
+        } catch (error) {
+            this.log.error("Error fetching stats", { error });
+        }
+        if (!client.open) return;
+
+        // Joining only after the snapshot is sent means a concurrent tick can't send it twice
+        if (this.latest) client.send(this.latest);
+        this.clients.add(client);
+        this.startTicking();
+    }
+
+    async timelineMessage({ kind, id }) {
+        const data = await (kind === "bot" ? getBotTimeline : getPlayerTimeline)(this.game, id);
+        return { type: "timeline", [kind]: id, data };
+    }
+
+    // Recomputes a timeline; returns true when it differs from the last one
+    refreshTimeline(timeline) {
+        timeline.computing ??= this.timelineMessage(timeline.target)
+            .then(message => {
+                const key = timelineChangeKey(message);
+                if (key === timeline.latestKey) return false;
+                timeline.latestKey = key;
+                timeline.latest = JSON.stringify(message);
+                return true;
+            })
+            .finally(() => { timeline.computing = null; });
+
+        return timeline.computing;
+    }
+
+    async broadcastTimeline(timeline) {
+        try {
+            if (!(await this.refreshTimeline(timeline))) return;
+
+            for (const client of timeline.clients) client.send(timeline.latest);
+        } catch (error) {
+            this.log.error("Error fetching timeline", { error, [timeline.target.kind]: timeline.target.id });
+        }
+    }
+
+    // Streams the timeline of `target`, a timelineTarget(), to `client`
+    async watchTimeline(client, target) {
+        const key = `${target.kind}:${target.id}`;
+        const timeline = this.timelines.get(key) ?? { target, clients: new Set(), latest: null, latestKey: null, computing: null };
+        try {
+            if (!timeline.latest || timeline.clients.size === 0) await this.refreshTimeline(timeline);
+        } catch (error) {
+            this.log.error("Error fetching timeline", { error, [target.kind]: target.id });
+        }
+        if (!client.open) return;
+
+        // Someone else may have started watching it meanwhile
+        const watched = this.timelines.get(key) ?? timeline;
+        this.timelines.set(key, watched);
+        if (watched.latest) client.send(watched.latest);
+        watched.clients.add(client);
+        this.startTicking();
+    }
+
+    // Answers a { type: "leaderboard", board, window, offset, limit },
+    // { type: "rank", board, window, id }, { type: "timeline", bot | player } or
+    // { type: "analytics", sort, offset, limit } request with the message to
+    // send back. Throws on a bad request.
+    async query(request) {
+        const { type, board, window = "all" } = request;
+
+        if (type === "leaderboard") {
+            const { offset = 0, limit = 10 } = request;
+            const page = await getLeaderboard(this.game.models, { board, window, offset, limit });
+            return { type, ...page, entries: this.withMovement(board, window, page.entries) };
+        }
+        if (type === "rank") {
+            const rank = await getRank(this.game.models, { board, window, id: request.id });
+            return { type, board, window, id: request.id, ...rank, ranked: rank !== null };
+        }
+        if (type === "timeline") {
+            return this.timelineMessage(timelineTarget(request));
+        }
+        if (type === "analytics") {
+            const { sort, offset = 0, limit = 10 } = request;
+            return { type, ...(await getAnalytics(this.game, { sort, offset, limit })) };
+        }
+        throw new Error(`Unknown message type "${type}"`);
+    }
+
+    removeClient(client) {
+        this.clients.delete(client);
+        for (const [key, timeline] of this.timelines) {
+            timeline.clients.delete(client);
+            if (timeline.clients.size === 0) this.timelines.delete(key);
+        }
+
+        if (this.subscribers === 0 && this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
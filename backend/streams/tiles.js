@@ -0,0 +1,261 @@
+import { Board, tileState, loadTileStates } from "../indexer/board.js";
+import { TilePalette, encodeSnapshot, encodeDeltas, fitsBinaryFrames } from "../tileCodec.js";
+import { ERROR_CODES, StreamError } from "./errors.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger("tiles");
+
+// **Tile Index**
+// Maps board tiles to the viewers whose viewports contain them. Each layer is
+// cut into square cells, so a viewer is registered once per cell its viewports
+// touch rather than once per tile, and looking up the viewers of a mined tile
+// only checks the viewports sharing its cell.
+const TILE_CELL_SIZE = 16;
+
+function cellKey(layer, cellX, cellY) {
+    return `${layer}:${cellX}:${cellY}`;
+}
+
+function* cellsOf({ layer, x, y, width, height }) {
+    for (let cellY = Math.floor(y / TILE_CELL_SIZE); cellY <= Math.floor((y + height - 1) / TILE_CELL_SIZE); cellY++) {
+        for (let cellX = Math.floor(x / TILE_CELL_SIZE); cellX <= Math.floor((x + width - 1) / TILE_CELL_SIZE); cellX++) {
+            yield cellKey(layer, cellX, cellY);
+        }
+    }
+}
+
+class TileIndex {
+    constructor() {
+        this.cells = new Map(); // cell -> Set of viewers
+        this.viewports = new Map(); // viewer -> its viewports
+    }
+
+    add(viewer, viewports) {
+        this.remove(viewer);
+        this.viewports.set(viewer, viewports);
+
+        for (const viewport of viewports) {
+            for (const cell of cellsOf(viewport)) {
+                if (!this.cells.has(cell)) this.cells.set(cell, new Set());
+                this.cells.get(cell).add(viewer);
+            }
+        }
+    }
+
+    remove(viewer) {
+        const viewports = this.viewports.get(viewer);
+        if (!viewports) return;
+        this.viewports.delete(viewer);
+
+        for (const viewport of viewports) {
+            for (const cell of cellsOf(viewport)) {
+                const viewers = this.cells.get(cell);
+                if (!viewers) continue;
+                viewers.delete(viewer);
+                if (viewers.size === 0) this.cells.delete(cell);
+            }
+        }
+    }
+
+    viewersOf(tile) {
+        const cell = cellKey(tile.layer, Math.floor(tile.x / TILE_CELL_SIZE), Math.floor(tile.y / TILE_CELL_SIZE));
+
+        return [...this.cells.get(cell) ?? []].filter(viewer =>
+            this.viewports.get(viewer).some(viewport => Board.viewportContains(viewport, tile))
+        );
+    }
+}
+
+// TileManager: serves viewport snapshots on request and pushes mined tiles to
+// the viewers watching them. Updates come from a change stream on the game's
+// mines collection, which the indexer writes to, so there is no polling per
+// viewer. Tiles are addressed as (layer, x, y) on the game's board, and sent as
+// JSON or, for clients that asked for it, in the binary format of tileCodec.js.
+// Deleted mines (a reorg rollback or reindex) don't say where they were, so
+// every viewer gets fresh snapshots instead.
+// A client watches at most `maxViewports` viewports of at most
+// `maxViewportTiles` tiles each, after clipping to the board.
+export class TileManager {
+    constructor(game, { maxViewports = 8, maxViewportTiles = 10000 } = {}) {
+        this.game = game;
+        this.board = game.board;
+        this.maxViewports = maxViewports;
+        this.maxViewportTiles = maxViewportTiles;
+        this.activeViewers = new Map(); // client -> { viewports, format, palette }
+        this.index = new TileIndex();
+        this.changeStream = null;
+        this.resumeToken = null; // Lets a restarted change stream pick up where the last one stopped
+        this.pendingUpdates = new Map(); // client -> (location -> { layer, x, y, state, bot }) waiting for the next flush
+        this.flushTimer = null;
+        this.resyncTimer = null;
+        this.log = log.child({ game: game.id });
+    }
+
+    // Dense row-major tile states (and the bots behind them) for one viewport
+    getTileStates(viewport) {
+        return loadTileStates(this.game.models.Mine, this.board, viewport);
+    }
+
+    // Sets the viewports a client is watching, replacing any earlier ones.
+    // Each is { layer, x, y, width, height }, clipped to the board. `format` is
+    // the one the client negotiated when it connected or subscribed. Throws on
+    // malformed or oversized viewports, leaving the old ones in place.
+    setClientView(client, viewports, format = "json") {
+        if (!Array.isArray(viewports) || viewports.length === 0) throw new Error("viewports must be a non-empty array");
+        if (format === "binary" && !fitsBinaryFrames(this.board)) {
+            throw new StreamError(ERROR_CODES.BAD_REQUEST, "This game's board is too large for binary tiles; use JSON");
+        }
+
+        const limits = { max_viewports: this.maxViewports, max_viewport_tiles: this.maxViewportTiles };
+        if (viewports.length > this.maxViewports) {
+            throw new StreamError(ERROR_CODES.RANGE_TOO_LARGE, `At most ${this.maxViewports} viewports`, limits);
+        }
+        const clipped = viewports.map(viewport => this.board.viewport(viewport ?? {}));
+        if (clipped.some(({ width, height }) => width * height > this.maxViewportTiles)) {
+            throw new StreamError(ERROR_CODES.RANGE_TOO_LARGE, `Viewports may hold at most ${this.maxViewportTiles} tiles`, limits);
+        }
+
+        // Binary clients keep their bot palette across view changes
+        const palette = this.activeViewers.get(client)?.palette ?? new TilePalette();
+        this.activeViewers.set(client, { viewports: clipped, format, palette });
+        this.index.add(client, clipped);
+        this.pendingUpdates.delete(client); // Superseded by the snapshots below
+        
+        // Start watching if this is the first client
+        if (this.activeViewers.size === 1) {
+            this.startUpdates();
+        }
+        
+        // Send initial data
+        this.sendInitialData(client);
+    }
+    
+    async sendInitialData(client) {
+        if (!this.activeViewers.has(client)) return;
+        
+        const { viewports, format, palette } = this.activeViewers.get(client);
+        
+        try {
+            for (const viewport of viewports) {
+                const states = await this.getTileStates(viewport);
+                if (!client.open) return;
+
+                if (format === "binary") {
+                    client.send(encodeSnapshot(viewport, states, palette));
+                } else {
+                    client.send({
+                        type: "tileData",
+                        action: "initial",
+                        viewport,
+                        tiles: states.tiles
+                    });
+                }
+            }
+        } catch (error) {
+            this.log.error("Error sending initial tile data", { ...client.logFields, error });
+        }
+    }
+    
+    // Start pushing updates to all clients
+    startUpdates() {
+        if (this.changeStream) return;
+
+        const options = { fullDocument: "updateLookup" };
+        if (this.resumeToken) options.resumeAfter = this.resumeToken;
+
+        this.changeStream = this.game.models.Mine.watch(
+            [{ $match: { operationType: { $in: ["insert", "update", "replace", "delete"] } } }],
+            options
+        );
+
+        this.changeStream.on("change", (change) => {
+            this.resumeToken = change._id;
+            if (change.operationType === "delete") this.scheduleResync();
+            else if (change.fullDocument) this.routeUpdate(change.fullDocument);
+        });
+
+        this.changeStream.on("error", (error) => {
+            this.log.error("Tile change stream failed, restarting", { error });
+            this.changeStream.close().catch(() => {});
+            this.changeStream = null;
+
+            // Resume tokens can expire; fall back to a fresh stream after a failure
+            if (error.code === 286) this.resumeToken = null;
+            if (this.activeViewers.size > 0) setTimeout(() => this.startUpdates(), 1000);
+        });
+    }
+
+    // Queues a changed mine for every viewer watching its tile
+    routeUpdate(mine) {
+        const tile = this.board.fromLocation(mine.location);
+        if (!tile) return; // Off the board
+
+        const state = tileState(mine.mine_type);
+        for (const client of this.index.viewersOf(tile)) {
+            if (!this.pendingUpdates.has(client)) this.pendingUpdates.set(client, new Map());
+
+            const updates = this.pendingUpdates.get(client);
+            const queued = updates.get(mine.location);
+            if (!queued || state > queued.state) updates.set(mine.location, { ...tile, state, bot: mine.bot_address ?? null });
+        }
+
+        // Coalesce bursts (e.g. a backfilled block) into one message per viewer
+        if (this.pendingUpdates.size > 0 && !this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flushUpdates(), 250);
+        }
+    }
+
+    // A rollback deletes a whole fork's mines at once; resend snapshots once it's through
+    scheduleResync() {
+        if (!this.resyncTimer) this.resyncTimer = setTimeout(() => this.resync(), 250);
+    }
+
+    resync() {
+        this.resyncTimer = null;
+
+        for (const client of this.activeViewers.keys()) {
+            this.pendingUpdates.delete(client); // Superseded by the snapshots
+            this.sendInitialData(client);
+        }
+    }
+
+    flushUpdates() {
+        this.flushTimer = null;
+
+        for (const [client, updates] of this.pendingUpdates) {
+            const viewer = this.activeViewers.get(client);
+            if (!viewer || !client.open) {
+                this.removeClient(client);
+                continue;
+            }
+
+            try {
+                if (viewer.format === "binary") {
+                    for (const frame of encodeDeltas([...updates.values()], viewer.palette)) client.send(frame);
+                } else {
+                    client.send({
+                        type: "tileData",
+                        action: "update",
+                        tiles: [...updates.values()]
+                    });
+                }
+            } catch (error) {
+                this.log.error("Error sending tile updates", { ...client.logFields, error });
+            }
+        }
+        this.pendingUpdates.clear();
+    }
+    
+    removeClient(client) {
+        this.activeViewers.delete(client);
+        this.index.remove(client);
+        this.pendingUpdates.delete(client);
+        
+        if (this.activeViewers.size === 0 && this.changeStream) {
+            clearTimeout(this.resyncTimer);
+            this.resyncTimer = null;
+            this.changeStream.close().catch(error => this.log.error("Error closing tile change stream", { error }));
+            this.changeStream = null;
+        }
+    }
+}
@@ -0,0 +1,647 @@
+import { normalizeAddress } from "../addresses.js";
+import { ERROR_CODES } from "./errors.js";
+import { assignEventIndexes, eventKey } from "../indexer/eventIdentity.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger("transactions");
+
+// Returns { name, args }, or null for events that aren't the game's
+function decodeEvent(decoder, tx) {
+    try {
+        return decoder.decode(tx);
+    } catch (error) {
+        return null;
+    }
+}
+
+// **Stream Cursors**
+// Every accepted event carries a cursor "<block>:<position>", its position
+// among the game's decoded events in that block, in chain order. Cursors are
+// the same whether an event was streamed live, read back from the node or
+// replayed from the Transaction collection, so a client can hand back the last
+// one it saw and continue from there. Pending events have no position yet and
+// carry a null cursor until they're confirmed.
+export function formatCursor({ block, position }) {
+    return `${block}:${position}`;
+}
+
+export function parseCursor(value) {
+    const match = /^(\d+):(\d+)$/.exec(value ?? "");
+    return match ? { block: Number(match[1]), position: Number(match[2]) } : null;
+}
+
+export function compareCursors(a, b) {
+    return a.block - b.block || a.position - b.position;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// **Subscription Filters**
+// Clients narrow the transaction stream with a filter like
+//   { "events": ["DiamondFound", "BombFound"],
+//     "bots": ["0x..."], "players": ["0x..."],
+//     "locations": [[from, to], ...],
+//     "blocks": { "from": 1000, "to": 2000 } }
+// Every field is optional. An event has to pass every field given, and match
+// any one of the values listed in it. `players` matches every event of the
+// players' bots, through the `player` each event is streamed with (see
+// TransactionManager.resolveOwners), and only events with a location can match
+// `locations`.
+// Ranges are inclusive, and locations may be numbers or hex strings.
+// Throws with a client-facing message on a malformed filter.
+function compileFilter(filter, game) {
+    if (typeof filter !== "object" || filter === null || Array.isArray(filter)) {
+        throw new Error("filter must be an object");
+    }
+
+    const list = (field) => {
+        const value = filter[field];
+        if (value === undefined) return null;
+        if (!Array.isArray(value)) throw new Error(`filter.${field} must be an array`);
+        return value;
+    };
+    const address = (value, field) => {
+        const normalized = normalizeAddress(value);
+        if (normalized === null) throw new Error(`filter.${field} contains an invalid address "${value}"`);
+        return normalized;
+    };
+    const felt = (value) => {
+        try {
+            return BigInt(value);
+        } catch (error) {
+            throw new Error(`filter.locations contains an invalid location "${value}"`);
+        }
+    };
+
+    const knownEvents = new Set(Object.values(game.decoder.names));
+    const events = list("events");
+    for (const name of events ?? []) {
+        if (!knownEvents.has(name)) throw new Error(`Unknown event "${name}"`);
+    }
+
+    const bots = list("bots")?.map(value => address(value, "bots"));
+    const players = list("players")?.map(value => address(value, "players"));
+
+    const locations = list("locations")?.map(range => {
+        if (!Array.isArray(range) || range.length !== 2) throw new Error("filter.locations must hold [from, to] pairs");
+        return range.map(felt);
+    });
+
+    const { blocks } = filter;
+    if (blocks !== undefined && (typeof blocks !== "object" || blocks === null
+        || ![blocks.from, blocks.to].every(bound => bound === undefined || Number.isInteger(bound)))) {
+        throw new Error("filter.blocks must be { from, to } with integer bounds");
+    }
+
+    const eventSet = events && new Set(events);
+    const botSet = bots && new Set(bots);
+    const playerSet = players && new Set(players);
+
+    return (event) => {
+        const { args } = event;
+        if (eventSet && !eventSet.has(event.event_name)) return false;
+        if (botSet && !botSet.has(args.bot_address)) return false;
+        if (playerSet && !playerSet.has(event.player)) return false;
+        if (blocks?.from !== undefined && event.block < blocks.from) return false;
+        if (blocks?.to !== undefined && event.block > blocks.to) return false;
+
+        if (locations) {
+            if (args.location === undefined) return false;
+            const location = BigInt(args.location);
+            if (!locations.some(([from, to]) => location >= from && location <= to)) return false;
+        }
+        return true;
+    };
+}
+
+const matchAll = () => true;
+
+// **Event Ring**
+// Fixed-size buffer of the most recent events. Every event gets a sequence
+// number, and readers keep their own cursor (the next sequence they want), so
+// one buffer serves any number of clients without copying. Once a reader falls
+// more than `capacity` events behind, the oldest events it hasn't read are
+// overwritten and `read` reports how many were lost.
+// Entries are { seq, kind, event }, where `kind` says what the event is news of:
+//   pending    it showed up in the pending block
+//   accepted   it's in an accepted block, and wasn't seen while pending
+//   confirmed  it's in an accepted block, and was streamed while pending
+//   retracted  it was streamed while pending, but the accepted block doesn't hold it
+export class EventRing {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.buffer = new Array(capacity);
+        this.nextSeq = 1; // Sequence number the next pushed event will get
+    }
+
+    // Oldest sequence number still held
+    get oldestSeq() {
+        return Math.max(1, this.nextSeq - this.capacity);
+    }
+
+    get(seq) {
+        return seq >= this.oldestSeq && seq < this.nextSeq ? this.buffer[seq % this.capacity] : undefined;
+    }
+
+    push(kind, event) {
+        const seq = this.nextSeq++;
+        this.buffer[seq % this.capacity] = { seq, kind, event: { seq, ...event } };
+        return seq;
+    }
+
+    // Returns up to `limit` entries passing `match` starting at `cursor`, the
+    // cursor to read from next, and how many entries were overwritten before
+    // this reader got to them
+    read(cursor, limit, match = matchAll) {
+        const missed = Math.max(0, this.oldestSeq - cursor);
+
+        const entries = [];
+        let seq = cursor + missed;
+        while (seq < this.nextSeq && entries.length < limit) {
+            const entry = this.buffer[seq++ % this.capacity];
+            if (match(entry)) entries.push(entry);
+        }
+        return { entries, missed, cursor: seq };
+    }
+}
+
+// Ring kinds a confirmed-only client is sent
+const ACCEPTED_KINDS = new Set(["accepted", "confirmed"]);
+
+// **Live Messages**
+// Turns a batch of ring entries into the messages a client gets, in order.
+// Events come as { "type": "transactions", "data": [...] }, each with its
+// `status` ("pending" or "accepted") and `id`, stable from pending to accepted,
+// and the `player` whose bot it concerns (null if unknown).
+// Settling a block that had pending events streamed from it sends
+//   { "type": "confirmed", "block", "block_hash", "data": [...] }
+//     those events again, accepted now, with their cursors
+//   { "type": "retracted", "block", "ids": [...] }
+//     the ones that didn't make it into the block
+// Confirmed-only clients just get accepted events, as "transactions".
+export function liveMessages(entries, confirmedOnly) {
+    const messages = [];
+
+    for (const { kind, event } of entries) {
+        const type = confirmedOnly || kind === "pending" || kind === "accepted" ? "transactions" : kind;
+
+        let message = messages[messages.length - 1];
+        if (message?.type !== type || (type !== "transactions" && message.block !== event.block)) {
+            if (type === "transactions") message = { type, data: [] };
+            else if (type === "confirmed") message = { type, block: event.block, block_hash: event.block_hash, data: [] };
+            else message = { type, block: event.block, ids: [] };
+            messages.push(message);
+        }
+
+        if (type === "retracted") message.ids.push(event.id);
+        else message.data.push(event);
+    }
+    return messages;
+}
+
+const REPLAY_BATCH_SIZE = 200;
+const MAX_BUFFERED_BYTES = 1 << 20; // Replay pauses while a client has this much unsent
+
+// TransactionManager: polls the game's pending block into a shared ring and
+// fans it out to every client at its own, rate-limited pace. Once a block is
+// accepted, what was streamed of it while pending is settled (see liveMessages).
+// Clients that resume from a cursor get what they missed replayed first.
+export class TransactionManager {
+    constructor(game, rpc) {
+        this.game = game;
+        this.rpc = rpc; // RpcClient, shared by every game (see rpc.js)
+        this.isFetching = false;
+        this.connectedClients = new Map(); // client -> { id, log, cursor, lastCursor, replaying, match, confirmedOnly, batchSize, nextBatchTime, batchInterval }
+        this.pollInterval = null;
+        this.events = new EventRing(5000); // Bounded, so slow clients can't exhaust memory
+
+        // The number of the block currently pending, and its events streamed so far (id -> event)
+        this.pendingBlock = null;
+        this.pending = new Map();
+
+        this.owners = new Map(); // bot_address -> player, see resolveOwners
+
+        this.log = log.child({ game: game.id });
+        this.idleLog = this.log.sampled("poll", 0.1); // Every second while nothing happens
+    }
+
+    // Fetches one block's header and the game events in it (in chain order) that
+    // decode against the game ABI. `blockId` is "pending" or { block_number }.
+    async fetchBlock(blockId, limit = 200) {
+        const header = await this.rpc.call("starknet_getBlockWithTxHashes", [blockId]);
+        if (!header) throw new Error(`Block ${JSON.stringify(blockId)} is not available`);
+
+        const raw = [];
+        let continuationToken = null;
+
+        do {
+            const filter = {
+                ...this.game.eventFilter,
+                from_block: blockId,
+                to_block: blockId,
+                chunk_size: limit
+            };
+            if (continuationToken) filter.continuation_token = continuationToken;
+
+            const result = await this.rpc.call("starknet_getEvents", [filter]);
+            if (!result?.events) throw new Error(`Invalid response format: ${JSON.stringify(result)}`);
+
+            raw.push(...result.events);
+            continuationToken = result.continuation_token || null;
+        } while (continuationToken);
+
+        // Indexes count every event of a transaction, like the indexer's, so ids match stored events
+        const events = [];
+        for (const tx of assignEventIndexes(raw)) {
+            const decoded = decodeEvent(this.game.decoder, tx);
+            if (decoded) events.push({ tx, decoded });
+        }
+        await this.resolveOwners(events.map(({ decoded }) => decoded.args));
+        return { header, events };
+    }
+
+    // Learns who owns the bots `argsList` name, so events that don't name the
+    // player (BombFound, SuspendBot, ...) can be streamed with it too. Owners
+    // come from the events themselves where they name both, and from the Bot
+    // collection otherwise.
+    async resolveOwners(argsList) {
+        const unknown = new Set();
+        for (const args of argsList) {
+            if (args?.bot_address === undefined) continue;
+            if (args.player !== undefined) this.owners.set(args.bot_address, args.player);
+            else if (!this.owners.has(args.bot_address)) unknown.add(args.bot_address);
+        }
+        if (unknown.size === 0) return;
+
+        const bots = await this.game.models.Bot.find({ bot_address: { $in: [...unknown] } }, { _id: 0, bot_address: 1, player: 1 }).lean();
+        for (const { bot_address, player } of bots) {
+            if (player) this.owners.set(bot_address, player);
+        }
+    }
+
+    // The player an event concerns, or null if it names none and no bot we know of
+    ownerOf(args) {
+        return args?.player ?? this.owners.get(args?.bot_address) ?? null;
+    }
+
+    // Formats the events of one block for streaming; `status` is "pending" or "accepted"
+    formatBlockEvents(blockNumber, { header, events }, status) {
+        const ingestedAt = Date.now();
+        const accepted = status === "accepted";
+
+        return events.map(({ tx, decoded }, position) => ({
+            id: eventKey(tx),
+            status,
+            cursor: accepted ? formatCursor({ block: blockNumber, position }) : null,
+            block: blockNumber,
+            event_name: decoded.name,
+            args: decoded.args,
+            player: this.ownerOf(decoded.args),
+            data: tx.data,
+            transaction_hash: tx.transaction_hash,
+            block_hash: accepted ? tx.block_hash ?? header.block_hash ?? null : null,
+            timestamp: header.timestamp ? header.timestamp * 1000 : ingestedAt,
+            ingested_at: ingestedAt
+        }));
+    }
+
+    async fetchTransactions(limit = 200) {
+        if (this.isFetching) return;
+        this.isFetching = true;
+
+        try {
+            const [pending, latest] = await Promise.all([
+                this.rpc.call("starknet_getBlockWithTxHashes", ["pending"]),
+                this.rpc.call("starknet_blockHashAndNumber", [])
+            ]);
+
+            if (!pending || !latest) {
+                this.log.error("Invalid response format", { pending, latest });
+                return;
+            }
+
+            // A block was accepted between the two calls; the next poll sorts it out
+            if (pending.parent_hash !== latest.block_hash) return;
+
+            const pendingBlock = latest.block_number + 1;
+            if (this.pendingBlock === null) this.pendingBlock = pendingBlock;
+
+            // The chain went back (a reorg): what was pending is gone with it
+            if (pendingBlock < this.pendingBlock) {
+                this.retractPending();
+                this.pendingBlock = pendingBlock;
+            }
+
+            // Blocks accepted since the last poll, each settling what we streamed of it while pending
+            let fetched = 0;
+            while (this.pendingBlock < pendingBlock) {
+                fetched += this.acceptBlock(this.pendingBlock, await this.fetchBlock({ block_number: this.pendingBlock }, limit));
+                this.pendingBlock++;
+            }
+
+            // The pending block's events we haven't streamed yet; the node may list them in a new order
+            for (const event of this.formatBlockEvents(pendingBlock, await this.fetchBlock("pending", limit), "pending")) {
+                if (this.pending.has(event.id)) continue;
+                this.pending.set(event.id, event);
+                this.events.push("pending", event);
+                fetched++;
+            }
+
+            if (fetched > 0) {
+                this.log.debug("Fetched transactions", { fetched, seq: this.events.nextSeq - 1 });
+            } else {
+                this.idleLog.debug("No new transactions found");
+            }
+
+        } catch (error) {
+            this.log.error("Error fetching transactions", { error });
+        } finally {
+            this.isFetching = false;
+        }
+    }
+
+    // Streams an accepted block's events: the ones streamed while it was pending
+    // are confirmed, the pending ones it doesn't hold are retracted. Returns how
+    // many events it holds.
+    acceptBlock(blockNumber, block) {
+        const events = this.formatBlockEvents(blockNumber, block, "accepted");
+        for (const event of events) this.events.push(this.pending.delete(event.id) ? "confirmed" : "accepted", event);
+
+        this.retractPending();
+        return events.length;
+    }
+
+    retractPending() {
+        if (this.pending.size === 0) return;
+
+        for (const event of this.pending.values()) this.events.push("retracted", event);
+        this.log.info("Pending events retracted", { block: this.pendingBlock, count: this.pending.size });
+        this.pending = new Map();
+    }
+
+    startPolling() {
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+        }
+
+        // Perform initial fetch
+        this.fetchTransactions();
+        
+        // Poll at a reasonable rate
+        this.pollInterval = setInterval(() => this.fetchTransactions(), 1000);
+    }
+
+    // `since` is the cursor of the last event the client saw before reconnecting,
+    // `filter` an initial subscription filter, and `confirmedOnly` keeps pending
+    // events (and their settling) from the client. Throws on a malformed filter.
+    startStreaming(client, clientId, { since = null, filter = null, confirmedOnly = false } = {}) {
+        const match = filter === null ? matchAll : compileFilter(filter, this.game);
+
+        // New clients start with whatever is still buffered, then follow along
+        this.connectedClients.set(client, {
+            id: clientId,
+            log: this.log.child(client.logFields),
+            cursor: this.events.oldestSeq,
+            lastCursor: null,
+            replaying: false,
+            match,
+            confirmedOnly,
+            batchSize: 10,
+            nextBatchTime: Date.now(),
+            batchInterval: 100
+        });
+        
+        if (this.connectedClients.size === 1) {
+            this.startPolling();
+        }
+
+        if (since) this.resume(client, since);
+        this.sendBatchToClient(client);
+    }
+
+    // Replaces the client's filter; `null` removes it. Applies from the next
+    // event the client is sent, including events already buffered for it.
+    // Throws on a malformed filter, leaving the old one in place.
+    subscribe(client, filter) {
+        const clientInfo = this.connectedClients.get(client);
+        if (!clientInfo) return;
+
+        clientInfo.match = filter === null ? matchAll : compileFilter(filter, this.game);
+    }
+
+    // Where the live stream's accepted events stand: the oldest one still in the
+    // ring, or the start of the pending block when the ring holds none
+    liveStart() {
+        for (let seq = this.events.oldestSeq; seq < this.events.nextSeq; seq++) {
+            const { event } = this.events.get(seq);
+            if (event.cursor) return parseCursor(event.cursor);
+        }
+        return { block: this.pendingBlock, position: 0 };
+    }
+
+    // First ring sequence with news after `cursor`: an accepted event past it,
+    // or anything about a later block
+    seqAfter(cursor) {
+        let seq = this.events.oldestSeq;
+        for (; seq < this.events.nextSeq; seq++) {
+            const { event } = this.events.get(seq);
+            const seen = event.cursor ? compareCursors(parseCursor(event.cursor), cursor) <= 0 : event.block <= cursor.block;
+            if (!seen) break;
+        }
+        return seq;
+    }
+
+    // **Resume**
+    // Replays everything after `since` up to where the ring starts, then hands
+    // the client over to the ring right after the last replayed event. If the
+    // ring moved on during a long replay, the replay simply continues.
+    async resume(client, since) {
+        const clientInfo = this.connectedClients.get(client);
+        if (!clientInfo) return;
+        if (clientInfo.replaying) {
+            client.send({ type: "error", code: ERROR_CODES.BAD_REQUEST, message: "Already resuming, wait for the replay to finish" });
+            return;
+        }
+        clientInfo.replaying = true;
+
+        try {
+            // The live stream's position is unknown until the first poll lands
+            while (this.pendingBlock === null) {
+                if (!client.open) return;
+                await sleep(200);
+            }
+
+            let from = since;
+            for (;;) {
+                const boundarySeq = this.events.oldestSeq;
+                const until = this.liveStart();
+
+                if (compareCursors(from, until) < 0) from = await this.replay(client, clientInfo, from, until);
+                if (!client.open) return;
+
+                if (this.events.oldestSeq === boundarySeq) {
+                    clientInfo.cursor = this.seqAfter(from);
+                    break;
+                }
+            }
+            clientInfo.log.info("Client resumed", { since: formatCursor(since) });
+        } catch (error) {
+            clientInfo.log.error("Error replaying transactions", { error });
+            client.send({ type: "error", code: ERROR_CODES.UNAVAILABLE, message: "Replay failed, please resume again" });
+        } finally {
+            clientInfo.replaying = false;
+        }
+    }
+
+    // Sends the events after `from` and before `until`: blocks the indexer has
+    // stored come from the Transaction collection, later ones from the node.
+    // Returns the cursor of the last event sent (or `from` if there were none).
+    async replay(client, clientInfo, from, until) {
+        const { Checkpoint, Transaction } = this.game.models;
+        const checkpoint = await Checkpoint.findOne({ key: "lastProcessedBlock" }).lean();
+        const indexedTo = Math.min(checkpoint?.value ?? this.game.startBlock, until.block);
+
+        let last = from;
+        let batch = [];
+        const queue = async (event, cursor) => {
+            last = cursor;
+            if (!clientInfo.match(event)) return;
+
+            batch.push(event);
+            if (batch.length >= REPLAY_BATCH_SIZE) {
+                await this.sendReplayBatch(client, clientInfo, batch);
+                batch = [];
+            }
+        };
+
+        if (from.block <= indexedTo) {
+            // Positions count every stored event of a block, in the order the indexer wrote them
+            const stored = Transaction.find({ block: { $gte: from.block, $lte: indexedTo } })
+                .sort({ block: 1, _id: 1 })
+                .lean()
+                .cursor();
+
+            let cursor = null;
+            for await (const doc of stored) {
+                cursor = cursor?.block === doc.block ? { block: doc.block, position: cursor.position + 1 } : { block: doc.block, position: 0 };
+                if (compareCursors(cursor, from) <= 0) continue;
+                if (compareCursors(cursor, until) >= 0 || !client.open) break;
+
+                await this.resolveOwners([doc.args]);
+                await queue({
+                    id: doc.transaction_hash ? eventKey(doc) : null,
+                    status: "accepted",
+                    cursor: formatCursor(cursor),
+                    block: doc.block,
+                    event_name: doc.event_name,
+                    args: doc.args,
+                    player: this.ownerOf(doc.args),
+                    data: doc.data,
+                    transaction_hash: doc.transaction_hash ?? null,
+                    block_hash: doc.block_hash ?? null,
+                    timestamp: new Date(doc.timestamp).getTime(),
+                    ingested_at: new Date(doc.ingested_at ?? doc.timestamp).getTime()
+                }, cursor);
+            }
+        }
+
+        // Accepted blocks the indexer hasn't reached yet
+        const lastBlock = until.position > 0 ? until.block : until.block - 1;
+        for (let block = Math.max(from.block, indexedTo + 1); block <= lastBlock && client.open; block++) {
+            for (const event of this.formatBlockEvents(block, await this.fetchBlock({ block_number: block }), "accepted")) {
+                const cursor = parseCursor(event.cursor);
+                if (compareCursors(cursor, from) <= 0) continue;
+                if (compareCursors(cursor, until) >= 0) break;
+                await queue(event, cursor);
+            }
+        }
+
+        if (batch.length > 0) await this.sendReplayBatch(client, clientInfo, batch);
+        return last;
+    }
+
+    async sendReplayBatch(client, clientInfo, batch) {
+        client.send({ type: "transactions", replay: true, data: batch });
+        clientInfo.lastCursor = batch[batch.length - 1].cursor;
+
+        // Let the socket drain so a long replay doesn't pile up in memory
+        while (client.open && client.bufferedAmount > MAX_BUFFERED_BYTES) await sleep(50);
+    }
+
+    sendBatchToClient(client) {
+        if (!this.connectedClients.has(client) || !client.open) {
+            this.connectedClients.delete(client);
+            return;
+        }
+
+        const clientInfo = this.connectedClients.get(client);
+        const now = Date.now();
+        
+        // Check if it's time to send next batch; live events wait until a replay is done
+        if (!clientInfo.replaying && now >= clientInfo.nextBatchTime) {
+            const { entries, missed, cursor } = this.events.read(
+                clientInfo.cursor,
+                clientInfo.batchSize,
+                ({ kind, event }) => (!clientInfo.confirmedOnly || ACCEPTED_KINDS.has(kind)) && clientInfo.match(event)
+            );
+
+            try {
+                // Tell the client exactly which events it lost before sending what follows them.
+                // Resuming from `since` replays them.
+                if (missed > 0) {
+                    client.send({
+                        type: "missed",
+                        count: missed,
+                        from_seq: clientInfo.cursor,
+                        to_seq: clientInfo.cursor + missed - 1,
+                        since: clientInfo.lastCursor
+                    });
+                    clientInfo.log.warn("Client fell behind", { missed });
+                }
+
+                for (const message of liveMessages(entries, clientInfo.confirmedOnly)) client.send(message);
+
+                const accepted = entries.filter(({ event }) => event.cursor);
+                if (accepted.length > 0) clientInfo.lastCursor = accepted[accepted.length - 1].event.cursor;
+            } catch (error) {
+                clientInfo.log.error("Error sending to WebSocket", { error });
+                this.connectedClients.delete(client);
+                return;
+            }
+
+            clientInfo.cursor = cursor;
+
+            // Clients that are further behind get batches more often
+            const lag = this.events.nextSeq - clientInfo.cursor;
+            const lagFactor = lag > 1000 ? 0.5 : 
+                              lag > 500 ? 0.7 : 1;
+            
+            clientInfo.nextBatchTime = now + (clientInfo.batchInterval * lagFactor);
+        }
+
+        // Schedule next batch
+        setTimeout(() => this.sendBatchToClient(client), 50);
+    }
+
+    // How many buffered events each client has yet to get past, by client id
+    backlogs() {
+        return [...this.connectedClients.values()].map(({ id, cursor }) => ({ id, backlog: Math.max(0, this.events.nextSeq - cursor) }));
+    }
+
+    removeClient(client) {
+        this.connectedClients.delete(client);
+        
+        // The ring keeps its sequence numbers so they stay unique for this process.
+        // Polling picks up from the then-pending block when the next client arrives;
+        // pending events it won't be around to settle are retracted now, so the
+        // ring never holds any that stay pending for good.
+        if (this.connectedClients.size === 0) {
+            if (this.pollInterval) {
+                clearInterval(this.pollInterval);
+                this.pollInterval = null;
+            }
+            this.retractPending();
+            this.pendingBlock = null;
+        }
+    }
+}
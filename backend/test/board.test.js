@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Board, TILE_STATE, tileState } from "../indexer/board.js";
+
+const board = new Board({ width: 4, height: 3, layers: 2 });
+
+test("rejects non-positive dimensions", () => {
+    assert.throws(() => new Board({ width: 0, height: 3, layers: 1 }), /width must be a positive integer/);
+    assert.throws(() => new Board({ width: 4, height: 1.5, layers: 1 }), /height must be a positive integer/);
+});
+
+test("numbers tiles layer by layer and row by row", () => {
+    assert.equal(board.toLocation({ layer: 0, x: 0, y: 0 }), "0x0");
+    assert.equal(board.toLocation({ layer: 0, x: 3, y: 2 }), "0xb");
+    assert.equal(board.toLocation({ layer: 1, x: 1, y: 1 }), "0x11");
+    assert.throws(() => board.toLocation({ layer: 0, x: 4, y: 0 }), /off the board/);
+});
+
+test("maps locations back to tiles", () => {
+    assert.deepEqual(board.fromLocation("0x11"), { layer: 1, x: 1, y: 1 });
+    assert.deepEqual(board.fromLocation(23), { layer: 1, x: 3, y: 2 });
+    assert.equal(board.fromLocation("0x18"), null);
+    assert.equal(board.fromLocation("not a felt"), null);
+});
+
+test("clips viewports to the board", () => {
+    assert.deepEqual(board.viewport({ layer: 0, x: -1, y: 1, width: 10, height: 10 }), { layer: 0, x: 0, y: 1, width: 4, height: 2 });
+    assert.throws(() => board.viewport({ layer: 2, x: 0, y: 0, width: 1, height: 1 }), /Layer 2 is off the board/);
+    assert.throws(() => board.viewport({ layer: 0, x: 4, y: 0, width: 1, height: 1 }), /Viewport is off the board/);
+    assert.throws(() => board.viewport({ layer: 0, x: 0, y: 0, width: 0, height: 1 }), /positive width, height/);
+});
+
+test("covers a location range with at most three row viewports", () => {
+    assert.deepEqual(board.rangeViewports("0x1", "0x2"), [{ layer: 0, x: 1, y: 0, width: 2, height: 1 }]);
+    assert.deepEqual(board.rangeViewports("0x2", "0x5"), [
+        { layer: 0, x: 2, y: 0, width: 2, height: 1 },
+        { layer: 0, x: 0, y: 1, width: 2, height: 1 },
+    ]);
+    assert.deepEqual(board.rangeViewports("0xd", "0x17"), [
+        { layer: 1, x: 1, y: 0, width: 3, height: 1 },
+        { layer: 1, x: 0, y: 1, width: 4, height: 1 },
+        { layer: 1, x: 0, y: 2, width: 4, height: 1 },
+    ]);
+});
+
+test("rejects backwards, cross-layer and off-board ranges", () => {
+    assert.throws(() => board.rangeViewports("0x5", "0x2"), /backwards/);
+    assert.throws(() => board.rangeViewports("0xb", "0xc"), /one layer/);
+    assert.throws(() => board.rangeViewports("0x0", "0x18"), /off the board/);
+});
+
+test("lists a viewport's locations in row-major order", () => {
+    assert.deepEqual(board.locationsIn({ layer: 0, x: 2, y: 1, width: 2, height: 2 }), ["0x6", "0x7", "0xa", "0xb"]);
+});
+
+test("builds dense tile states, higher states winning", () => {
+    const viewport = { layer: 0, x: 0, y: 0, width: 2, height: 2 };
+    const { tiles, bots } = board.tileStates(viewport, [
+        { location: "0x0", mine_type: "Empty", bot_address: "0xa" },
+        { location: "0x0", mine_type: "Diamond", bot_address: "0xb" },
+        { location: "0x5", mine_type: "Bomb", bot_address: "0xc" },
+        { location: "0x5", mine_type: "Empty", bot_address: "0xd" },
+        { location: "0x2", mine_type: "Bomb", bot_address: "0xe" },
+    ]);
+
+    assert.deepEqual(tiles, [TILE_STATE.DIAMOND, TILE_STATE.UNMINED, TILE_STATE.UNMINED, TILE_STATE.BOMB]);
+    assert.deepEqual(bots, ["0xb", null, null, "0xc"]);
+});
+
+test("treats unknown mine types as mined", () => {
+    assert.equal(tileState("Emerald"), TILE_STATE.MINED);
+});
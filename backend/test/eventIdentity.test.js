@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assignEventIndexes, eventKey } from "../indexer/eventIdentity.js";
+
+test("numbers events within each transaction in node order", () => {
+    const events = assignEventIndexes([
+        { transaction_hash: "0xa", data: ["1"] },
+        { transaction_hash: "0xb", data: ["2"] },
+        { transaction_hash: "0xa", data: ["3"] },
+        { transaction_hash: "0xa", data: ["4"] },
+    ]);
+
+    assert.deepEqual(events.map(event => [event.transaction_hash, event.event_index, event.data[0]]), [
+        ["0xa", 0, "1"],
+        ["0xb", 0, "2"],
+        ["0xa", 1, "3"],
+        ["0xa", 2, "4"],
+    ]);
+});
+
+test("gives a re-fetched block the same keys", () => {
+    const block = [{ transaction_hash: "0xa" }, { transaction_hash: "0xb" }, { transaction_hash: "0xa" }];
+    const keys = () => assignEventIndexes(block).map(eventKey);
+
+    assert.deepEqual(keys(), ["0xa:0", "0xb:0", "0xa:1"]);
+    assert.deepEqual(keys(), keys());
+});
+
+test("leaves the raw events untouched", () => {
+    const raw = { transaction_hash: "0xa" };
+    assignEventIndexes([raw]);
+    assert.deepEqual(raw, { transaction_hash: "0xa" });
+});
@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { RpcClient, RpcError } from "../rpc.js";
+
+// A JSON-RPC node on a local port. `handle(method)` returns the result, or
+// { status } to fail with an HTTP status, { error } to answer with a node
+// error, or { hang: true } to never answer.
+async function fakeNode(handle) {
+    const node = { calls: [] };
+    const server = http.createServer((request, response) => {
+        let body = "";
+        request.on("data", chunk => body += chunk);
+        request.on("end", () => {
+            const { id, method } = JSON.parse(body);
+            node.calls.push(method);
+
+            const answer = handle(method);
+            if (answer?.hang) return;
+            if (answer?.status) {
+                response.writeHead(answer.status);
+                return response.end();
+            }
+            response.setHeader("content-type", "application/json");
+            response.end(JSON.stringify(answer?.error ? { jsonrpc: "2.0", id, error: answer.error } : { jsonrpc: "2.0", id, result: answer }));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    node.url = `http://127.0.0.1:${server.address().port}`;
+    node.close = () => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    };
+    return node;
+}
+
+// A node on chain `chainId` at block `head`, answering other methods with `handle`
+const chain = (chainId, head, handle = () => "ok") => method => {
+    if (method === "starknet_chainId") return chainId;
+    if (method === "starknet_blockNumber") return head;
+    return handle(method);
+};
+
+const options = { retries: 0, backoffMs: 1, timeoutMs: 200 };
+
+test("returns the node's result after checking the endpoint", async (t) => {
+    const node = await fakeNode(chain("0x1", 10, () => ({ block_number: 10 })));
+    t.after(node.close);
+    const client = new RpcClient({ urls: [node.url], ...options });
+
+    assert.deepEqual(await client.call("starknet_getBlockWithTxHashes", ["latest"]), { block_number: 10 });
+    assert.deepEqual(node.calls, ["starknet_chainId", "starknet_blockNumber", "starknet_getBlockWithTxHashes"]);
+    assert.equal(client.chainId, "0x1");
+    assert.equal(client.head, 10);
+});
+
+test("retries transport failures with backoff", async (t) => {
+    let failures = 2;
+    const node = await fakeNode(chain("0x1", 10, () => failures-- > 0 ? { status: 503 } : "ok"));
+    t.after(node.close);
+    const client = new RpcClient({ urls: [node.url], ...options, retries: 3 });
+
+    assert.equal(await client.call("starknet_call"), "ok");
+    assert.equal(node.calls.filter(method => method === "starknet_call").length, 3);
+});
+
+test("gives up once the retries are spent", async (t) => {
+    const node = await fakeNode(chain("0x1", 10, () => ({ status: 500 })));
+    t.after(node.close);
+    const client = new RpcClient({ urls: [node.url], ...options, retries: 2 });
+
+    await assert.rejects(client.call("starknet_call"), { name: "RpcError", retryable: true, message: /failed with HTTP 500/ });
+    assert.equal(node.calls.filter(method => method === "starknet_call").length, 3);
+});
+
+test("passes node errors straight back without retrying", async (t) => {
+    const node = await fakeNode(chain("0x1", 10, () => ({ error: { code: 24, message: "Block not found" } })));
+    t.after(node.close);
+    const client = new RpcClient({ urls: [node.url], ...options, retries: 3 });
+
+    const error = await client.call("starknet_getBlockWithTxHashes", [{ block_number: 99 }]).catch(error => error);
+    assert.ok(error instanceof RpcError);
+    assert.equal(error.code, 24);
+    assert.equal(error.retryable, false);
+    assert.match(error.message, /Block not found/);
+    assert.equal(node.calls.filter(method => method === "starknet_getBlockWithTxHashes").length, 1);
+});
+
+test("times out a node that doesn't answer", async (t) => {
+    const node = await fakeNode(chain("0x1", 10, () => ({ hang: true })));
+    t.after(node.close);
+    const client = new RpcClient({ urls: [node.url], ...options, timeoutMs: 50 });
+
+    await assert.rejects(client.call("starknet_call"), { retryable: true, message: /timed out after 50ms/ });
+});
+
+test("opens the circuit of a failing endpoint and fails over down the list", async (t) => {
+    const primary = await fakeNode(chain("0x1", 10, () => ({ status: 503 })));
+    const backup = await fakeNode(chain("0x1", 10, () => "backup"));
+    t.after(primary.close);
+    t.after(backup.close);
+    const client = new RpcClient({ urls: [primary.url, backup.url], ...options, breakerThreshold: 2, breakerCooldownMs: 60000 });
+
+    await assert.rejects(client.call("starknet_call"), { retryable: true });
+    assert.ok(client.endpoints[0].available);
+
+    await assert.rejects(client.call("starknet_call"), { retryable: true });
+    assert.equal(client.endpoints[0].available, false);
+
+    assert.equal(await client.call("starknet_call"), "backup");
+    assert.equal(primary.calls.filter(method => method === "starknet_call").length, 2);
+});
+
+test("gives a recovered endpoint its traffic back after the cooldown", async (t) => {
+    let down = true;
+    const primary = await fakeNode(chain("0x1", 10, () => down ? { status: 503 } : "primary"));
+    const backup = await fakeNode(chain("0x1", 10, () => "backup"));
+    t.after(primary.close);
+    t.after(backup.close);
+    const client = new RpcClient({ urls: [primary.url, backup.url], ...options, retries: 1, breakerThreshold: 1, breakerCooldownMs: 50 });
+
+    assert.equal(await client.call("starknet_call"), "backup");
+
+    down = false;
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(await client.call("starknet_call"), "primary");
+    assert.ok(client.endpoints[0].verified);
+});
+
+test("keeps endpoints on another chain out of service", async (t) => {
+    const primary = await fakeNode(chain("0x1", 10));
+    const other = await fakeNode(chain("0x2", 10));
+    t.after(primary.close);
+    t.after(other.close);
+
+    const client = new RpcClient({ urls: [primary.url, other.url], ...options });
+    await client.call("starknet_call");
+    client.takeOut(client.endpoints[0], "test");
+
+    await assert.rejects(client.call("starknet_call"), { message: "No RPC endpoint available" });
+    assert.equal(client.endpoints[1].available, false);
+    assert.deepEqual(other.calls, ["starknet_chainId", "starknet_blockNumber"]);
+});
+
+test("keeps endpoints too far behind the chain head out of service", async (t) => {
+    const primary = await fakeNode(chain("0x1", 100));
+    const lagging = await fakeNode(chain("0x1", 90));
+    t.after(primary.close);
+    t.after(lagging.close);
+
+    const client = new RpcClient({ urls: [primary.url, lagging.url], ...options, maxHeadLag: 5 });
+    await client.call("starknet_call");
+    client.takeOut(client.endpoints[0], "test");
+
+    await assert.rejects(client.call("starknet_call"), { message: "No RPC endpoint available" });
+    assert.equal(client.endpoints[1].available, false);
+});
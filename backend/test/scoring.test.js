@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { ScoringRules, ScoringRulesError, loadScoringRules } from "../indexer/scoring.js";
+
+const at = iso => ({ timestamp: new Date(iso) });
+
+test("scores base points per event", () => {
+    const rules = new ScoringRules({ version: 1, events: { TileMined: { points: 10 } } });
+
+    assert.equal(rules.id, "default@1");
+    assert.deepEqual(rules.score({ name: "TileMined", ...at("2025-01-01") }, {}), { delta: 10, streak: 0 });
+    assert.deepEqual(rules.score({ name: "BotMoved", ...at("2025-01-01") }, { streak: 3 }), { delta: 0, streak: 3 });
+});
+
+test("scores nothing outside the season and keeps the streak", () => {
+    const rules = new ScoringRules({
+        version: 2,
+        season: { start: "2025-01-01T00:00:00Z", end: "2025-02-01T00:00:00Z" },
+        events: { TileMined: { points: 10 } },
+        streak: { counts: ["TileMined"], every: 1, bonus: 1 },
+    });
+
+    assert.deepEqual(rules.score({ name: "TileMined", ...at("2024-12-31T23:59:59Z") }, { streak: 4 }), { delta: 0, streak: 4 });
+    assert.deepEqual(rules.score({ name: "TileMined", ...at("2025-02-01T00:00:00Z") }, { streak: 4 }), { delta: 0, streak: 4 });
+    assert.deepEqual(rules.score({ name: "TileMined", ...at("2025-01-15") }, { streak: 4 }), { delta: 11, streak: 5 });
+});
+
+test("applies overlapping multipliers within their spans", () => {
+    const rules = new ScoringRules({
+        version: 1,
+        events: { TileMined: { points: 10 } },
+        multipliers: [
+            { events: ["TileMined"], from: "2025-01-01T00:00:00Z", factor: 2 },
+            { events: ["TileMined"], to: "2025-01-10T00:00:00Z", factor: 1.5 },
+        ],
+    });
+
+    assert.equal(rules.score({ name: "TileMined", ...at("2024-12-01") }, {}).delta, 15);
+    assert.equal(rules.score({ name: "TileMined", ...at("2025-01-05") }, {}).delta, 30);
+    assert.equal(rules.score({ name: "TileMined", ...at("2025-01-10") }, {}).delta, 20);
+});
+
+test("pays a streak bonus on every nth event and resets on others", () => {
+    const rules = new ScoringRules({
+        version: 1,
+        events: { TileMined: { points: 1 } },
+        streak: { counts: ["TileMined"], resets: ["BotSuspended"], every: 3, bonus: 100 },
+    });
+
+    let bot = { streak: 0 };
+    const deltas = [];
+    for (const name of ["TileMined", "TileMined", "TileMined", "BotSuspended", "TileMined"]) {
+        const { delta, streak } = rules.score({ name, ...at("2025-01-01") }, bot);
+        deltas.push(delta);
+        bot = { streak };
+    }
+
+    assert.deepEqual(deltas, [1, 1, 101, 0, 1]);
+    assert.equal(bot.streak, 1);
+});
+
+test("takes the death penalty from the remaining score, never below zero", () => {
+    const rules = new ScoringRules({
+        version: 1,
+        events: { BombFound: { points: 0 } },
+        deathPenalty: { points: 20, fraction: 0.5 },
+    });
+    const bomb = { name: "BombFound", ...at("2025-01-01") };
+
+    assert.equal(rules.score(bomb, { score: 100 }).delta, -60);
+    assert.equal(rules.score(bomb, { score: 10 }).delta, -10);
+    assert.equal(rules.score(bomb, { score: 0 }).delta, 0);
+});
+
+test("rejects malformed rulesets", () => {
+    assert.throws(() => new ScoringRules({ events: {} }), ScoringRulesError);
+    assert.throws(() => new ScoringRules({ version: 1 }), /events must map/);
+    assert.throws(() => new ScoringRules({ version: 1, events: { TileMined: {} } }), /events\.TileMined\.points/);
+    assert.throws(() => new ScoringRules({ version: 1, events: {}, season: { start: "soon" } }), /season\.start is not a valid time/);
+    assert.throws(() => new ScoringRules({ version: 1, events: {}, deathPenalty: { fraction: 2 } }), /deathPenalty\.fraction/);
+});
+
+test("loads the default ruleset", () => {
+    const rules = loadScoringRules(fileURLToPath(new URL("../indexer/rules/default.json", import.meta.url)));
+    assert.equal(rules.id, "default@1");
+    assert.equal(rules.points.DiamondFound, 5000);
+});
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FRAME_TYPE, TilePalette, encodeDelta, encodeDeltas, encodeSnapshot, fitsBinaryFrames } from "../tileCodec.js";
+
+const felt = address => Buffer.from(BigInt(address).toString(16).padStart(64, "0"), "hex");
+
+test("palette indexes start at 1 and never change", () => {
+    const palette = new TilePalette();
+    assert.equal(palette.indexOf(null), 0);
+    assert.equal(palette.indexOf("0xa"), 1);
+    assert.equal(palette.indexOf("0xb"), 2);
+    assert.equal(palette.indexOf("0xa"), 1);
+    assert.deepEqual(palette.takeAdditions(), ["0xa", "0xb"]);
+    assert.deepEqual(palette.takeAdditions(), []);
+});
+
+test("encodes a snapshot with bitpacked states and bot indexes", () => {
+    const palette = new TilePalette();
+    const viewport = { layer: 1, x: 2, y: 3, width: 2, height: 2 };
+    const frame = encodeSnapshot(viewport, { tiles: [0, 1, 2, 3], bots: [null, "0xa", "0xb", "0xa"] }, palette);
+
+    const expected = Buffer.concat([
+        Buffer.from([FRAME_TYPE.SNAPSHOT, 2, 0]),
+        felt("0xa"),
+        felt("0xb"),
+        Buffer.from([1, 0, 2, 0, 3, 0, 2, 0, 2, 0]), // layer, x, y, width, height
+        Buffer.from([2]), // Two bots, two bits per index
+        Buffer.from([0b11100100]), // States 0, 1, 2, 3
+        Buffer.from([0b011001]), // Indexes 1, 2, 1 of the mined tiles
+    ]);
+    assert.deepEqual(frame, expected);
+});
+
+test("sends each bot in the palette only once", () => {
+    const palette = new TilePalette();
+    const viewport = { layer: 0, x: 0, y: 0, width: 1, height: 1 };
+    encodeSnapshot(viewport, { tiles: [1], bots: ["0xa"] }, palette);
+    const frame = encodeSnapshot(viewport, { tiles: [1], bots: ["0xa"] }, palette);
+
+    assert.equal(frame.readUInt16LE(1), 0);
+    assert.equal(frame.length, 3 + 11 + 1 + 1);
+});
+
+test("encodes a delta of changed tiles", () => {
+    const palette = new TilePalette();
+    palette.indexOf("0xa");
+    palette.takeAdditions();
+
+    const frame = encodeDelta([
+        { layer: 0, x: 1, y: 2, state: 3, bot: "0xa" },
+        { layer: 1, x: 300, y: 4, state: 2, bot: "0xc" },
+    ], palette);
+
+    assert.equal(frame.readUInt8(0), FRAME_TYPE.DELTA);
+    assert.equal(frame.readUInt16LE(1), 1);
+    assert.deepEqual(frame.subarray(3, 35), felt("0xc"));
+
+    const body = frame.subarray(35);
+    assert.equal(body.readUInt16LE(0), 2);
+    const tile = offset => ({
+        layer: body.readUInt16LE(offset),
+        x: body.readUInt16LE(offset + 2),
+        y: body.readUInt16LE(offset + 4),
+        state: body.readUInt8(offset + 6),
+        bot: body.readUInt16LE(offset + 7),
+    });
+    assert.deepEqual(tile(2), { layer: 0, x: 1, y: 2, state: 3, bot: 1 });
+    assert.deepEqual(tile(11), { layer: 1, x: 300, y: 4, state: 2, bot: 2 });
+});
+
+test("splits deltas past the u16 tile count into several frames", () => {
+    const palette = new TilePalette();
+    const updates = Array.from({ length: 70000 }, (_, i) => ({ layer: 0, x: i % 1000, y: Math.floor(i / 1000), state: 1, bot: i < 65535 ? "0xa" : "0xb" }));
+    const frames = encodeDeltas(updates, palette);
+
+    assert.equal(frames.length, 2);
+    assert.deepEqual(frames.map(frame => frame.readUInt16LE(1)), [1, 1]); // Each frame brings the bot it uses first
+    assert.deepEqual(frames.map(frame => frame.readUInt16LE(3 + 32)), [65535, 4465]);
+    assert.deepEqual(encodeDeltas([], palette), []);
+});
+
+test("binary frames only serve boards that fit u16 coordinates", () => {
+    assert.ok(fitsBinaryFrames({ width: 65535, height: 100, layers: 1 }));
+    assert.equal(fitsBinaryFrames({ width: 100, height: 65536, layers: 1 }), false);
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventRing, compareCursors, formatCursor, liveMessages, parseCursor } from "../streams/transactions.js";
+
+const fill = (ring, count) => {
+    for (let i = 0; i < count; i++) ring.push("accepted", { id: `e${i + 1}` });
+};
+
+test("ring numbers events from 1 and reads them from a cursor", () => {
+    const ring = new EventRing(4);
+    fill(ring, 3);
+
+    const { entries, missed, cursor } = ring.read(2, 10);
+    assert.deepEqual(entries.map(entry => [entry.seq, entry.kind, entry.event.id, entry.event.seq]), [
+        [2, "accepted", "e2", 2],
+        [3, "accepted", "e3", 3],
+    ]);
+    assert.equal(missed, 0);
+    assert.equal(cursor, 4);
+    assert.deepEqual(ring.read(cursor, 10), { entries: [], missed: 0, cursor: 4 });
+});
+
+test("ring reports what a slow reader lost to overwrites", () => {
+    const ring = new EventRing(4);
+    fill(ring, 10);
+
+    assert.equal(ring.oldestSeq, 7);
+    assert.equal(ring.get(6), undefined);
+    assert.equal(ring.get(7).event.id, "e7");
+
+    const { entries, missed, cursor } = ring.read(2, 10);
+    assert.equal(missed, 5);
+    assert.deepEqual(entries.map(entry => entry.seq), [7, 8, 9, 10]);
+    assert.equal(cursor, 11);
+});
+
+test("ring reads at most `limit` matching entries and skips the rest", () => {
+    const ring = new EventRing(8);
+    fill(ring, 6);
+    const even = entry => entry.seq % 2 === 0;
+
+    const first = ring.read(1, 2, even);
+    assert.deepEqual(first.entries.map(entry => entry.seq), [2, 4]);
+    assert.equal(first.cursor, 5);
+
+    const rest = ring.read(first.cursor, 2, even);
+    assert.deepEqual(rest.entries.map(entry => entry.seq), [6]);
+    assert.equal(rest.cursor, 7);
+});
+
+test("cursors round-trip through their string form", () => {
+    assert.equal(formatCursor({ block: 120, position: 3 }), "120:3");
+    assert.deepEqual(parseCursor("120:3"), { block: 120, position: 3 });
+    assert.deepEqual(parseCursor(formatCursor({ block: 0, position: 0 })), { block: 0, position: 0 });
+});
+
+test("malformed cursors parse to null", () => {
+    for (const value of [undefined, null, "", "120", "120:", "-1:0", "1:2:3", "0x10:1", " 1:2"]) {
+        assert.equal(parseCursor(value), null, `${value}`);
+    }
+});
+
+test("cursors sort by block, then position", () => {
+    const cursors = ["11:0", "10:2", "10:10", "9:7"].map(parseCursor).sort(compareCursors);
+    assert.deepEqual(cursors.map(formatCursor), ["9:7", "10:2", "10:10", "11:0"]);
+    assert.equal(compareCursors(parseCursor("10:2"), parseCursor("10:2")), 0);
+});
+
+// Ring entries as liveMessages gets them
+const entry = (kind, id, block = 10) => ({ kind, event: { id, block, block_hash: `0xh${block}` } });
+
+test("live messages batch pending and accepted events as transactions", () => {
+    const messages = liveMessages([entry("pending", "a"), entry("accepted", "b"), entry("pending", "c", 11)], false);
+    assert.deepEqual(messages, [{ type: "transactions", data: [
+        { id: "a", block: 10, block_hash: "0xh10" },
+        { id: "b", block: 10, block_hash: "0xh10" },
+        { id: "c", block: 11, block_hash: "0xh11" },
+    ] }]);
+});
+
+test("live messages settle a block with confirmations and retractions", () => {
+    const messages = liveMessages([
+        entry("pending", "a"),
+        entry("confirmed", "b"),
+        entry("confirmed", "c"),
+        entry("retracted", "d"),
+        entry("confirmed", "e", 11),
+        entry("pending", "f", 12),
+    ], false);
+
+    assert.deepEqual(messages.map(({ data, ...message }) => ({ ...message, ...(data && { data: data.map(event => event.id) }) })), [
+        { type: "transactions", data: ["a"] },
+        { type: "confirmed", block: 10, block_hash: "0xh10", data: ["b", "c"] },
+        { type: "retracted", block: 10, ids: ["d"] },
+        { type: "confirmed", block: 11, block_hash: "0xh11", data: ["e"] },
+        { type: "transactions", data: ["f"] },
+    ]);
+});
+
+test("confirmed-only clients get every entry as transactions", () => {
+    const messages = liveMessages([entry("confirmed", "a"), entry("accepted", "b", 11)], true);
+    assert.deepEqual(messages.map(message => [message.type, message.data.map(event => event.id)]), [["transactions", ["a", "b"]]]);
+});
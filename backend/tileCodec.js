@@ -0,0 +1,151 @@
+// **Binary Tile Protocol**
+// Compact alternative to the JSON tile messages, chosen per connection with
+// ?format=binary on the tiles socket. Every message is one binary frame,
+// little-endian, starting with a frame type and the bots added to the
+// connection's palette:
+//
+//   u8  frame type (1 = snapshot, 2 = delta)
+//   u16 palette additions, then 32 bytes (big-endian felt) per added bot
+//
+// The palette lives for the whole connection: additions are appended in order
+// and a bot's index never changes. Index 0 means "no bot", so the first bot
+// ever sent is index 1.
+//
+// Snapshot, one per viewport:
+//   u16 layer, x, y, width, height
+//   u8  bits per bot index
+//   2 bits per tile, row-major, packed low bits first: 0 unmined, 1 mined, 2 diamond, 3 bomb
+//   then one bot index per mined tile, in the same order, bitpacked the same way
+//
+// Delta, changed tiles since the last frame:
+//   u16 count, then per tile: u16 layer, u16 x, u16 y, u8 state, u16 bot index
+// More changes than a u16 count holds go out as several deltas.
+//
+// Coordinates and sizes are u16, so the format only serves boards whose
+// width, height and layer count all fit (see fitsBinaryFrames).
+
+export const TILE_FORMATS = ["json", "binary"];
+
+export const FRAME_TYPE = {
+    SNAPSHOT: 1,
+    DELTA: 2,
+};
+
+const NO_BOT = 0;
+const STATE_BITS = 2;
+const MAX_U16 = 0xffff;
+
+export function fitsBinaryFrames({ width, height, layers }) {
+    return Math.max(width, height, layers) <= MAX_U16;
+}
+
+// Bot addresses known to one connection, in the order they were sent
+export class TilePalette {
+    constructor() {
+        this.indexes = new Map(); // address -> index
+        this.additions = []; // Addresses not sent to the client yet
+    }
+
+    indexOf(address) {
+        if (!address) return NO_BOT;
+
+        let index = this.indexes.get(address);
+        if (index === undefined) {
+            index = this.indexes.size + 1;
+            if (index > 0xffff) return NO_BOT; // Out of u16 indexes; the tile is still sent, just unattributed
+            this.indexes.set(address, index);
+            this.additions.push(address);
+        }
+        return index;
+    }
+
+    takeAdditions() {
+        const additions = this.additions;
+        this.additions = [];
+        return additions;
+    }
+}
+
+// Appends values of arbitrary bit widths, low bits first
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.bitOffset = 0;
+    }
+
+    write(value, bits) {
+        for (let bit = 0; bit < bits; bit++) {
+            const byte = this.bitOffset >> 3;
+            if (byte === this.bytes.length) this.bytes.push(0);
+            if ((value >> bit) & 1) this.bytes[byte] |= 1 << (this.bitOffset & 7);
+            this.bitOffset++;
+        }
+    }
+
+    // Pads to a whole byte
+    toBuffer() {
+        return Buffer.from(this.bytes);
+    }
+}
+
+function feltBytes(address) {
+    return Buffer.from(BigInt(address).toString(16).padStart(64, "0"), "hex");
+}
+
+// Frame type and palette additions, shared by both frames
+function frameHeader(type, palette) {
+    const additions = palette.takeAdditions();
+    const header = Buffer.alloc(3);
+    header.writeUInt8(type, 0);
+    header.writeUInt16LE(additions.length, 1);
+    return Buffer.concat([header, ...additions.map(feltBytes)]);
+}
+
+// `tiles` and `bots` are the dense arrays from Board#tileStates
+export function encodeSnapshot(viewport, { tiles, bots }, palette) {
+    // Resolve indexes first so the header carries every bot this frame uses
+    const indexes = [];
+    tiles.forEach((state, i) => {
+        if (state !== 0) indexes.push(palette.indexOf(bots[i]));
+    });
+    const header = frameHeader(FRAME_TYPE.SNAPSHOT, palette);
+
+    const bitsPerIndex = Math.max(1, (palette.indexes.size).toString(2).length);
+    const body = Buffer.alloc(11);
+    ["layer", "x", "y", "width", "height"].forEach((field, i) => body.writeUInt16LE(viewport[field], i * 2));
+    body.writeUInt8(bitsPerIndex, 10);
+
+    const states = new BitWriter();
+    for (const state of tiles) states.write(state, STATE_BITS);
+
+    const owners = new BitWriter();
+    for (const index of indexes) owners.write(index, bitsPerIndex);
+
+    return Buffer.concat([header, body, states.toBuffer(), owners.toBuffer()]);
+}
+
+// `updates` are { layer, x, y, state, bot } tiles, at most 65535 of them
+export function encodeDelta(updates, palette) {
+    const body = Buffer.alloc(2 + updates.length * 9);
+    body.writeUInt16LE(updates.length, 0);
+
+    updates.forEach(({ layer, x, y, state, bot }, i) => {
+        const offset = 2 + i * 9;
+        body.writeUInt16LE(layer, offset);
+        body.writeUInt16LE(x, offset + 2);
+        body.writeUInt16LE(y, offset + 4);
+        body.writeUInt8(state, offset + 6);
+        body.writeUInt16LE(palette.indexOf(bot), offset + 7);
+    });
+
+    return Buffer.concat([frameHeader(FRAME_TYPE.DELTA, palette), body]);
+}
+
+// Any number of updates, in as few deltas as the u16 count allows
+export function encodeDeltas(updates, palette) {
+    const frames = [];
+    for (let start = 0; start < updates.length; start += MAX_U16) {
+        frames.push(encodeDelta(updates.slice(start, start + MAX_U16), palette));
+    }
+    return frames;
+}
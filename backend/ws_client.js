@@ -1,28 +1,33 @@
 import WebSocket from "ws";
 
-const transactionWS = new WebSocket("ws://localhost:8081");
-const statsWS = new WebSocket("ws://localhost:8082");
+// One connection, one subscription per channel. Servers with auth on need WS_API_KEY.
+const apiKey = process.env.WS_API_KEY;
+const ws = new WebSocket(`ws://localhost:3004/ws${apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : ""}`);
 
-// Listen for transaction updates
-transactionWS.onmessage = (event) => {
-    const data = JSON.parse(event.data);
-    console.log("📩 New Transaction Data:", data);
-};
+const subscribe = (channel, id, params = {}) => ws.send(JSON.stringify({ channel, op: "subscribe", id, params }));
 
-// Listen for stats & leaderboard updates
-statsWS.onmessage = (event) => {
-    const data = JSON.parse(event.data);
-    console.log("📊 Updated Stats & Leaderboard:", data);
+ws.onopen = () => {
+    console.log("✅ Connected to WebSocket");
+    subscribe("transactions", "tx");
+    subscribe("stats", "stats");
 };
 
-// Handle connection events
-transactionWS.onopen = () => console.log("✅ Connected to Transactions WebSocket");
-statsWS.onopen = () => console.log("✅ Connected to Stats WebSocket");
+ws.onmessage = (event) => {
+    const { channel, op, id, data, code, message, request } = JSON.parse(event.data);
+
+    if (op === "ack") console.log(`👍 ${channel} "${id}": ${request} acknowledged`);
+    if (op === "error") console.error(`❌ ${channel} "${id}": ${message} (${code})`);
+    if (op !== "data") return;
+
+    // Listen for transaction updates
+    if (channel === "transactions") console.log("📩 New Transaction Data:", data);
+
+    // Listen for stats & leaderboard updates
+    if (channel === "stats") console.log("📊 Updated Stats & Leaderboard:", data);
+};
 
 // Handle errors
-transactionWS.onerror = (err) => console.error("❌ Transaction WebSocket Error:", err);
-statsWS.onerror = (err) => console.error("❌ Stats WebSocket Error:", err);
+ws.onerror = (err) => console.error("❌ WebSocket Error:", err);
 
 // Handle disconnects
-transactionWS.onclose = () => console.log("🔴 Transaction WebSocket Disconnected");
-statsWS.onclose = () => console.log("🔴 Stats WebSocket Disconnected");
+ws.onclose = () => console.log("🔴 WebSocket Disconnected");